@@ -1,8 +1,10 @@
 'use strict';
 
+const fs = require('fs');
 const Promise = require('bluebird');
 const yargs = require('yargs');
 const Client = require('./lib/client');
+const IngestClient = require('./lib/ingest-client');
 
 const REQUEST_METHODS = Object.create(null);
 REQUEST_METHODS.makeRequest = '{}';
@@ -10,12 +12,31 @@ REQUEST_METHODS.getAccessToken = '{}';
 REQUEST_METHODS.getPlaylistCount = '{"query": "OBJECT"}';
 REQUEST_METHODS.getPlaylists = '{"query": "OBJECT"}';
 REQUEST_METHODS.getPlaylist = '{"playlistId": "STRING"}';
-REQUEST_METHODS.getVideosByPlaylist = '{"playlistId": "STRING", "skipScheduleCheck": "BOOLEAN"}';
+REQUEST_METHODS.getVideosByPlaylist = '{"playlistId": "STRING", "skipScheduleCheck": "BOOLEAN", "sort": "STRING"}';
 REQUEST_METHODS.getVideoCountByPlaylist = '{"playlistId": "STRING"}';
 REQUEST_METHODS.getVideoCount = '{"query": "OBJECT"}';
 REQUEST_METHODS.getVideos = '{"query": "OBJECT", "skipScheduleCheck": "BOOLEAN"}';
 REQUEST_METHODS.getVideo = '{"videoId": "STRING", "skipScheduleCheck": "BOOLEAN"}';
 REQUEST_METHODS.getVideoSources = '{"videoId": "STRING"}';
+REQUEST_METHODS.getVideoVariants = '{"videoId": "STRING"}';
+REQUEST_METHODS.getAllPlaylists = '{"query": "OBJECT", "pageSize": "NUMBER"}';
+REQUEST_METHODS.getAllVideos = '{"query": "OBJECT", "pageSize": "NUMBER", "skipScheduleCheck": "BOOLEAN"}';
+REQUEST_METHODS.getAllVideosByPlaylist = '{"playlistId": "STRING", "pageSize": "NUMBER", "skipScheduleCheck": "BOOLEAN", "sort": "STRING"}';
+REQUEST_METHODS.getFolders = '{}';
+REQUEST_METHODS.getFolder = '{"folderId": "STRING"}';
+REQUEST_METHODS.getVideosByFolder = '{"folderId": "STRING", "query": "OBJECT", "skipScheduleCheck": "BOOLEAN"}';
+REQUEST_METHODS.getAllVideosByFolder = '{"folderId": "STRING", "pageSize": "NUMBER", "skipScheduleCheck": "BOOLEAN"}';
+REQUEST_METHODS.getPlaybackVideo = '{"videoId": "STRING", "policyKey": "STRING"}';
+REQUEST_METHODS.getPlaybackPlaylist = '{"playlistId": "STRING", "policyKey": "STRING"}';
+REQUEST_METHODS.getLiveJobs = '{"query": "OBJECT", "liveApiKey": "STRING"}';
+REQUEST_METHODS.getLiveJob = '{"jobId": "STRING", "liveApiKey": "STRING"}';
+REQUEST_METHODS.getLivePlaybackUrls = '{"jobId": "STRING", "liveApiKey": "STRING"}';
+REQUEST_METHODS.createVideo = '{"video": "OBJECT"}';
+REQUEST_METHODS.updateVideo = '{"videoId": "STRING", "video": "OBJECT"}';
+REQUEST_METHODS.deleteVideo = '{"videoId": "STRING"}';
+REQUEST_METHODS.createPlaylist = '{"playlist": "OBJECT"}';
+REQUEST_METHODS.updatePlaylist = '{"playlistId": "STRING", "playlist": "OBJECT"}';
+REQUEST_METHODS.deletePlaylist = '{"playlistId": "STRING"}';
 
 const listCommand = () => {
 	console.log('Request methods:');
@@ -36,6 +57,7 @@ const requestCommand = args => {
 	const accountId = args.accountId;
 	const method = args.method;
 	const concurrentRequestLimit = args.concurrentRequestLimit;
+	const requestsPerSecondLimit = args.requestsPerSecondLimit;
 
 	if (!clientId) {
 		console.error('A clientId is required (--clientId)');
@@ -61,7 +83,7 @@ const requestCommand = args => {
 		return Promise.resolve(null);
 	}
 
-	const client = new Client({clientId, clientSecret, accountId, concurrentRequestLimit});
+	const client = new Client({clientId, clientSecret, accountId, concurrentRequestLimit, requestsPerSecondLimit});
 
 	const clientMethod = client[method];
 
@@ -76,6 +98,52 @@ const requestCommand = args => {
 	});
 };
 
+// The manifest is a JSON file with the ingestVideo() arguments:
+// {"video": {"name": "My Video"}, "ingest": {"master": {"url": "https://..."}}}
+// or {"videoId": "123", "ingest": {...}} to ingest into an existing video.
+const ingestCommand = args => {
+	const clientId = args.clientId;
+	const clientSecret = args.clientSecret;
+	const accountId = args.accountId;
+	const manifest = args.manifest;
+
+	if (!clientId) {
+		console.error('A clientId is required (--clientId)');
+		return Promise.resolve(null);
+	}
+
+	if (!clientSecret) {
+		console.error('A clientSecret is required (--clientSecret)');
+		return Promise.resolve(null);
+	}
+
+	if (!accountId) {
+		console.error('An accountId is required (--accountId)');
+		return Promise.resolve(null);
+	}
+
+	if (!manifest) {
+		console.error('A manifest file path is required (--manifest)');
+		return Promise.resolve(null);
+	}
+
+	let params;
+	try {
+		params = JSON.parse(fs.readFileSync(manifest, 'utf8'));
+	} catch (err) {
+		console.error('--manifest reading error:');
+		console.error(err.message);
+		return Promise.resolve(null);
+	}
+
+	const client = new IngestClient({clientId, clientSecret, accountId});
+
+	return client.ingestVideo(params).then(res => {
+		console.log(JSON.stringify(res, null, 2));
+		return null;
+	});
+};
+
 exports.main = () => {
 	const args = yargs
 					.usage('Usage: $0 <command> [options]')
@@ -106,6 +174,30 @@ exports.main = () => {
 							alias: 'c',
 							default: 20,
 							describe: 'Limits the client to specified concurrent requests'
+						},
+						requestsPerSecondLimit: {
+							alias: 'r',
+							default: 10,
+							describe: 'Limits the client to specified requests per second'
+						}
+					})
+					.command('ingest', 'Submit a Dynamic Ingest job from a JSON manifest', {
+						manifest: {
+							alias: 'f',
+							describe: 'Path to a JSON manifest with video, videoId and ingest keys',
+							type: 'string'
+						},
+						clientId: {
+							describe: 'Defaults to env var BRIGHTCOVE_CLIENT_ID',
+							type: 'string'
+						},
+						clientSecret: {
+							describe: 'Defaults to env var BRIGHTCOVE_CLIENT_SECRET',
+							type: 'string'
+						},
+						accountId: {
+							describe: 'Defaults to env var BRIGHTCOVE_ACCOUNT_ID',
+							type: 'string'
 						}
 					})
 					.command('list', 'List vimeo client methods')
@@ -123,9 +215,17 @@ exports.main = () => {
 				clientSecret: argv.clientSecret || process.env.BRIGHTCOVE_CLIENT_SECRET,
 				accountId: argv.accountId || process.env.BRIGHTCOVE_ACCOUNT_ID,
 				concurrentRequestLimit: argv.concurrentRequestLimit,
+				requestsPerSecondLimit: argv.requestsPerSecondLimit,
 				method: argv.method,
 				args: argv.args
 			});
+		case 'ingest':
+			return ingestCommand({
+				clientId: argv.clientId || process.env.BRIGHTCOVE_CLIENT_ID,
+				clientSecret: argv.clientSecret || process.env.BRIGHTCOVE_CLIENT_SECRET,
+				accountId: argv.accountId || process.env.BRIGHTCOVE_ACCOUNT_ID,
+				manifest: argv.manifest
+			});
 		default:
 			console.error('A command argument is required.');
 			console.error('Use the --help flag to print out help.');
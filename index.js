@@ -1,24 +1,69 @@
 'use strict';
 
 const Promise = require('bluebird');
+const _ = require('lodash');
 const debug = require('debug')('oddworks:provider:brightcove');
 const Client = require('./lib/client');
+const IngestClient = require('./lib/ingest-client');
+const BrightcoveError = require('./lib/brightcove-error');
 const defaultVideoTransform = require('./lib/default-video-transform');
 const defaultCollectionTransform = require('./lib/default-collection-transform');
+const defaultSearchTransform = require('./lib/default-search-transform');
+const defaultFolderTransform = require('./lib/default-folder-transform');
+const defaultSeriesTransform = require('./lib/default-series-transform');
+const defaultLiveTransform = require('./lib/default-live-transform');
 const createChannelCache = require('./lib/create-channel-cache');
+const createClientRegistry = require('./lib/create-client-registry');
 const fetchBrightcoveVideo = require('./lib/fetch-brightcove-video');
 const fetchBrightcovePlaylist = require('./lib/fetch-brightcove-playlist');
+const fetchBrightcoveSearch = require('./lib/fetch-brightcove-search');
+const fetchBrightcoveFolder = require('./lib/fetch-brightcove-folder');
+const fetchBrightcoveSeries = require('./lib/fetch-brightcove-series');
+const fetchBrightcoveLive = require('./lib/fetch-brightcove-live');
+const sortVideos = require('./lib/sort-videos');
+
+exports.BrightcoveError = BrightcoveError;
 
 const DEFAULTS = {
 	collectionTransform: defaultCollectionTransform,
+	searchTransform: defaultSearchTransform,
+	folderTransform: defaultFolderTransform,
+	seriesTransform: defaultSeriesTransform,
+	liveTransform: defaultLiveTransform,
 	videoTransform: defaultVideoTransform
 };
 
+// The video custom fields a brightcove-series spec reads, unless overridden
+// by spec.series.fields.
+const SERIES_FIELDS = {
+	series: 'series',
+	season: 'season_number',
+	episode: 'episode_number'
+};
+
 // options.bus
 // options.clientId
 // options.clientSecret
 // options.accountId
+// options.policyKey
+// options.liveApiKey
+// options.concurrentRequestLimit
+// options.requestsPerSecondLimit
+// options.maxRetries
+// options.retryDelay
+// options.maxRetryDelay
+// options.baseUrls
+// options.transport
+// options.sortComparators
+// options.requiredImages
+// options.eligibilityRules
+// options.namedEligibilityRules
+// options.fieldMap
 // options.collectionTransform
+// options.searchTransform
+// options.folderTransform
+// options.seriesTransform
+// options.liveTransform
 // options.videoTransform
 exports.initialize = options => {
 	debug('initialize');
@@ -28,7 +73,20 @@ exports.initialize = options => {
 	const clientId = options.clientId;
 	const clientSecret = options.clientSecret;
 	const accountId = options.accountId;
+	const policyKey = options.policyKey;
+	const liveApiKey = options.liveApiKey;
 	const concurrentRequestLimit = options.concurrentRequestLimit;
+	const requestsPerSecondLimit = options.requestsPerSecondLimit;
+	const maxRetries = options.maxRetries;
+	const retryDelay = options.retryDelay;
+	const maxRetryDelay = options.maxRetryDelay;
+	const baseUrls = options.baseUrls;
+	const transport = options.transport;
+	const sortComparators = options.sortComparators;
+	const requiredImages = options.requiredImages;
+	const eligibilityRules = options.eligibilityRules;
+	const namedEligibilityRules = options.namedEligibilityRules;
+	const fieldMap = options.fieldMap;
 	const role = 'provider';
 	const cmd = 'get';
 
@@ -37,9 +95,32 @@ exports.initialize = options => {
 	}
 
 	const collectionTransform = options.collectionTransform;
+	const searchTransform = options.searchTransform;
+	const folderTransform = options.folderTransform;
+	const seriesTransform = options.seriesTransform;
+	const liveTransform = options.liveTransform;
 	const videoTransform = options.videoTransform;
 
-	const client = new Client({bus, clientId, clientSecret, accountId, concurrentRequestLimit});
+	const client = new Client({
+		bus,
+		clientId,
+		clientSecret,
+		accountId,
+		policyKey,
+		liveApiKey,
+		concurrentRequestLimit,
+		requestsPerSecondLimit,
+		maxRetries,
+		retryDelay,
+		maxRetryDelay,
+		baseUrls,
+		transport,
+		sortComparators,
+		requiredImages,
+		eligibilityRules,
+		namedEligibilityRules,
+		fieldMap
+	});
 
 	const getChannel = createChannelCache(bus);
 
@@ -53,19 +134,47 @@ exports.initialize = options => {
 		exports.createVideoHandler(bus, getChannel, client, videoTransform)
 	);
 
+	bus.queryHandler(
+		{role, cmd, source: 'brightcove-search'},
+		exports.createSearchHandler(bus, getChannel, client, searchTransform)
+	);
+
+	bus.queryHandler(
+		{role, cmd, source: 'brightcove-folder'},
+		exports.createFolderHandler(bus, getChannel, client, folderTransform)
+	);
+
+	bus.queryHandler(
+		{role, cmd, source: 'brightcove-series'},
+		exports.createSeriesHandler(bus, getChannel, client, seriesTransform)
+	);
+
+	bus.queryHandler(
+		{role, cmd, source: 'brightcove-live'},
+		exports.createLiveHandler(bus, getChannel, client, liveTransform)
+	);
+
 	return Promise.resolve({
 		name: 'brightcove-provider',
-		client
+		client,
+		getClient: createClientRegistry(client)
 	});
 };
 
+// Channels with their own Brightcove credentials are served by a per-account
+// Client from the registry shared by all handlers created with client.
 exports.createPlaylistHandler = (bus, getChannel, client, transform) => {
 	debug('createPlaylistHandler');
-	const getCollection = fetchBrightcovePlaylist(bus, client, transform);
+	const getClient = createClientRegistry(client);
+	const getCollection = fetchBrightcovePlaylist(bus, getClient, transform);
 
 	// Called from Oddworks core via bus.query
 	// Expects:
 	//	args.spec.playlist.id
+	//	args.spec.sort *optional - See lib/sort-videos.js
+	//	args.spec.locale *optional - Passed on to the videoSpecs
+	//	args.locale *optional - Overrides args.spec.locale
+	//	args.viewer.country *optional - Leaves out videos geo restricted for the viewer
 	return args => {
 		const spec = args.spec;
 		const collection = spec.playlist || {};
@@ -78,19 +187,32 @@ exports.createPlaylistHandler = (bus, getChannel, client, transform) => {
 			);
 		}
 
+		if (!sortVideos.parseSort(spec.sort, client.sortComparators)) {
+			throw new Error(
+				`brightcove-playlist-provider spec.sort "${spec.sort}" is not a known sort`
+			);
+		}
+
 		return getChannel(channelId).then(channel => {
-			return getCollection({spec, channel, collection, playlistId});
+			return getCollection({spec, channel, collection, playlistId, viewer: args.viewer, locale: args.locale || spec.locale});
 		});
 	};
 };
 
+// Channels with their own Brightcove credentials are served by a per-account
+// Client from the registry shared by all handlers created with client.
 exports.createVideoHandler = (bus, getChannel, client, transform) => {
 	debug('createVideoHandler');
-	const getVideo = fetchBrightcoveVideo(bus, client, transform);
+	const getClient = createClientRegistry(client);
+	const getVideo = fetchBrightcoveVideo(bus, getClient, transform);
 
 	// Called from Oddworks core via bus.query
 	// Expects:
 	// args.spec.video
+	// args.spec.locale *optional - Localizes the video from its variants, like "fr-CA"
+	// args.spec.related *optional - Adds related videos. See lib/fetch-related-videos.js
+	// args.locale *optional - Overrides args.spec.locale
+	// args.viewer.country *optional - Sets resource.geo.allowed for the viewer
 	return args => {
 		const spec = args.spec;
 		const channelId = spec.channel;
@@ -104,7 +226,153 @@ exports.createVideoHandler = (bus, getChannel, client, transform) => {
 		}
 
 		return getChannel(channelId).then(channel => {
-			return getVideo({spec, channel, videoId});
+			return getVideo({spec, channel, videoId, viewer: args.viewer, locale: args.locale || spec.locale});
+		});
+	};
+};
+
+exports.createSearchHandler = (bus, getChannel, client, transform) => {
+	debug('createSearchHandler');
+	const getClient = createClientRegistry(client);
+	const getCollection = fetchBrightcoveSearch(bus, getClient, transform);
+
+	// Called from Oddworks core via bus.query
+	// Expects:
+	//	args.spec.search.q
+	//	args.spec.search.sort *optional
+	//	args.spec.search.limit *optional
+	//	args.spec.search.id *optional - Defaults to the spec.id suffix
+	//	args.viewer.country *optional - Leaves out videos geo restricted for the viewer
+	return args => {
+		const spec = args.spec;
+		const search = Object.assign({}, spec.search);
+		const channelId = spec.channel;
+
+		if (!search.q || typeof search.q !== 'string') {
+			throw new Error(
+				'brightcove-search-provider spec.search.q String is required'
+			);
+		}
+
+		search.id = search.id || String(spec.id || '').replace(/^spec-brightcove-search-/, '');
+
+		if (!search.id) {
+			throw new Error(
+				'brightcove-search-provider spec.search.id or spec.id String is required'
+			);
+		}
+
+		return getChannel(channelId).then(channel => {
+			return getCollection({spec, channel, search, viewer: args.viewer});
+		});
+	};
+};
+
+exports.createFolderHandler = (bus, getChannel, client, transform) => {
+	debug('createFolderHandler');
+	const getClient = createClientRegistry(client);
+	const getCollection = fetchBrightcoveFolder(bus, getClient, transform);
+
+	// Called from Oddworks core via bus.query
+	// Expects:
+	//	args.spec.folder.id
+	//	args.spec.sort *optional - See lib/sort-videos.js
+	//	args.viewer.country *optional - Leaves out videos geo restricted for the viewer
+	return args => {
+		const spec = args.spec;
+		const collection = spec.folder || {};
+		const folderId = collection.id;
+		const channelId = spec.channel;
+
+		if (!folderId || typeof folderId !== 'string') {
+			throw new Error(
+				'brightcove-folder-provider spec.folder.id String is required'
+			);
+		}
+
+		if (!sortVideos.parseSort(spec.sort, client.sortComparators)) {
+			throw new Error(
+				`brightcove-folder-provider spec.sort "${spec.sort}" is not a known sort`
+			);
+		}
+
+		return getChannel(channelId).then(channel => {
+			return getCollection({spec, channel, collection, folderId, viewer: args.viewer});
+		});
+	};
+};
+
+exports.createSeriesHandler = (bus, getChannel, client, transform) => {
+	debug('createSeriesHandler');
+	const getClient = createClientRegistry(client);
+	const getCollection = fetchBrightcoveSeries(bus, getClient, transform);
+
+	// Called from Oddworks core via bus.query
+	// Expects:
+	//	args.spec.series.name - The series custom field value
+	//	args.spec.series.id *optional - Defaults to the spec.id suffix, or the
+	//	                                kebab cased name
+	//	args.spec.series.fields *optional - Custom field names, see SERIES_FIELDS
+	//	args.spec.season.number *optional - Set on the season specs this handler
+	//	                                    registers
+	//	args.viewer.country *optional - Leaves out videos geo restricted for the viewer
+	return args => {
+		const spec = args.spec;
+		const series = Object.assign({}, spec.series);
+		const channelId = spec.channel;
+		let season = null;
+
+		if (!series.name || typeof series.name !== 'string') {
+			throw new Error(
+				'brightcove-series-provider spec.series.name String is required'
+			);
+		}
+
+		series.fields = Object.assign({}, SERIES_FIELDS, series.fields);
+		series.id = series.id ||
+			String(spec.id || '').replace(/^spec-brightcove-series-/, '') ||
+			_.kebabCase(series.name);
+
+		if (spec.season) {
+			season = {number: parseInt(spec.season.number, 10)};
+
+			if (_.isNaN(season.number)) {
+				throw new Error(
+					'brightcove-series-provider spec.season.number Number is required'
+				);
+			}
+		}
+
+		return getChannel(channelId).then(channel => {
+			return getCollection({spec, channel, series, season, viewer: args.viewer});
+		});
+	};
+};
+
+exports.createLiveHandler = (bus, getChannel, client, transform) => {
+	debug('createLiveHandler');
+	const getClient = createClientRegistry(client);
+	const getLive = fetchBrightcoveLive(bus, getClient, transform);
+
+	// Called from Oddworks core via bus.query
+	// Expects:
+	//	args.spec.live.id - The Live API job id
+	//	args.spec.live.title *optional
+	//	args.spec.live.description *optional
+	return args => {
+		const spec = args.spec;
+		const channelId = spec.channel;
+		const live = spec.live || {};
+		const jobId = live.id;
+
+		if (!jobId || typeof jobId !== 'string') {
+			throw new Error(
+				'brightcove-live-provider spec.live.id String is required'
+			);
+		}
+
+		return getChannel(channelId).then(channel => {
+			return getLive({spec, channel, jobId});
 		});
 	};
 };
@@ -112,7 +380,21 @@ exports.createVideoHandler = (bus, getChannel, client, transform) => {
 // options.clientId *required
 // options.clientSecret *required
 // options.accountId *required
+// options.policyKey *optional
+// options.liveApiKey *optional
 // options.bus *optional
+// options.concurrentRequestLimit *optional
+// options.requestsPerSecondLimit *optional
+// options.maxRetries *optional
+// options.retryDelay *optional
+// options.maxRetryDelay *optional
+// options.baseUrls *optional
+// options.transport *optional
+// options.sortComparators *optional
+// options.requiredImages *optional
+// options.eligibilityRules *optional
+// options.namedEligibilityRules *optional
+// options.fieldMap *optional
 exports.createClient = options => {
 	debug('createClient');
 	options = Object.assign({}, DEFAULTS, options || {});
@@ -121,7 +403,20 @@ exports.createClient = options => {
 	const clientId = options.clientId;
 	const clientSecret = options.clientSecret;
 	const accountId = options.accountId;
+	const policyKey = options.policyKey;
+	const liveApiKey = options.liveApiKey;
 	const concurrentRequestLimit = options.concurrentRequestLimit;
+	const requestsPerSecondLimit = options.requestsPerSecondLimit;
+	const maxRetries = options.maxRetries;
+	const retryDelay = options.retryDelay;
+	const maxRetryDelay = options.maxRetryDelay;
+	const baseUrls = options.baseUrls;
+	const transport = options.transport;
+	const sortComparators = options.sortComparators;
+	const requiredImages = options.requiredImages;
+	const eligibilityRules = options.eligibilityRules;
+	const namedEligibilityRules = options.namedEligibilityRules;
+	const fieldMap = options.fieldMap;
 
 	if (!clientId || typeof clientId !== 'string') {
 		throw new Error(
@@ -141,5 +436,38 @@ exports.createClient = options => {
 		);
 	}
 
-	return new Client({bus, clientId, clientSecret, accountId, concurrentRequestLimit});
+	return new Client({
+		bus,
+		clientId,
+		clientSecret,
+		accountId,
+		policyKey,
+		liveApiKey,
+		concurrentRequestLimit,
+		requestsPerSecondLimit,
+		maxRetries,
+		retryDelay,
+		maxRetryDelay,
+		baseUrls,
+		transport,
+		sortComparators,
+		requiredImages,
+		eligibilityRules,
+		namedEligibilityRules,
+		fieldMap
+	});
+};
+
+// Creates a Dynamic Ingest API client. Pass options.client to share the
+// access tokens and request queue of an existing Client, otherwise accepts
+// the same options as createClient().
+//
+// options.client *optional
+exports.createIngestClient = options => {
+	debug('createIngestClient');
+	options = options || {};
+
+	const client = options.client || exports.createClient(options);
+
+	return new IngestClient({client});
 };
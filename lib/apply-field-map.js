@@ -0,0 +1,82 @@
+'use strict';
+
+const _ = require('lodash');
+
+const isMissing = value => {
+	return _.isNil(value) || value === '' || (_.isArray(value) && !value.length);
+};
+
+// Each coercion returns undefined when the value cannot be converted.
+const COERCIONS = {
+	string: value => _.isArray(value) ? value.join(',') : String(value),
+	number: value => {
+		const number = parseFloat(value);
+		return _.isFinite(number) ? number : undefined;
+	},
+	date: value => {
+		const time = Date.parse(value);
+		return _.isNaN(time) ? undefined : new Date(time).toISOString();
+	},
+	list: value => {
+		const list = _.isArray(value) ? value : String(value).split(',');
+		return list.map(item => String(item).trim()).filter(Boolean);
+	}
+};
+
+// Copies values from a Brightcove object onto a resource.
+//
+// The fieldMap for each kind of resource comes from the provider fieldMap
+// option, such as fieldMap.video, with the channel fieldMap, in
+// channel.features.brightcove.fieldMap, overriding entries for the same path.
+//
+// fieldMap is keyed by resource path, like 'meta.genre', and each value is
+// either the Brightcove path, like 'custom_fields.genre', or an object:
+//   from *required - The Brightcove path
+//   type *optional - One of 'string', 'number', 'date' or 'list' (comma separated)
+//   default *optional - Used when the value is missing or cannot be converted.
+//                       Without one the resource path is left unset.
+//
+// args.resource *required
+// args.source *required - The Brightcove object
+// args.kind *required - 'video' or 'collection'
+// args.client *required - Provides the provider fieldMap
+// args.channel *optional
+module.exports = args => {
+	const resource = args.resource;
+	const source = args.source;
+	const fieldMap = Object.assign(
+		{},
+		_.get(args.client, ['fieldMap', args.kind]),
+		_.get(args.channel, ['features', 'brightcove', 'fieldMap', args.kind])
+	);
+
+	_.forEach(fieldMap, (field, path) => {
+		field = _.isString(field) ? {from: field} : field;
+
+		if (!field || !_.isString(field.from)) {
+			throw new Error(`fieldMap "${path}" requires a from path String`);
+		}
+
+		if (field.type && !_.has(COERCIONS, field.type)) {
+			throw new Error(`fieldMap "${path}" type "${field.type}" is not supported`);
+		}
+
+		let value = _.get(source, field.from);
+
+		if (!isMissing(value) && field.type) {
+			value = COERCIONS[field.type](value);
+		}
+
+		if (isMissing(value)) {
+			if (!_.has(field, 'default')) {
+				return;
+			}
+
+			value = _.cloneDeep(field.default);
+		}
+
+		_.set(resource, path, value);
+	});
+
+	return resource;
+};
@@ -0,0 +1,77 @@
+'use strict';
+
+const _ = require('lodash');
+
+// Network error codes which are worth retrying.
+const RETRYABLE_ERROR_CODES = [
+	'ECONNRESET',
+	'ECONNREFUSED',
+	'ETIMEDOUT',
+	'ESOCKETTIMEDOUT',
+	'EPIPE',
+	'EAI_AGAIN'
+];
+
+/*
+	Brightcove APIs respond to failed requests with a JSON body like:
+
+	[{"error_code": "RESOURCE_NOT_FOUND", "message": "..."}]
+
+	BrightcoveError keeps the request and response details along with the first
+	error_code and message from that body, so callers can tell NOT_AVAILABLE from
+	RESOURCE_NOT_FOUND or an authorization problem.
+*/
+class BrightcoveError extends Error {
+	// message *required
+	// args.statusCode *optional - Omitted for network errors
+	// args.method *optional
+	// args.url *optional
+	// args.body *optional - The response body, as a String or parsed JSON
+	// args.code *optional - A network error code such as ECONNRESET
+	// args.retryAfter *optional - Milliseconds from the Retry-After header
+	constructor(message, args) {
+		super(message);
+		args = args || {};
+
+		const details = BrightcoveError.parseBody(args.body);
+
+		this.name = 'BrightcoveError';
+		this.statusCode = args.statusCode || null;
+		this.method = args.method || null;
+		this.url = args.url || null;
+		this.errorCode = details.errorCode;
+		this.brightcoveMessage = details.message;
+		this.code = this.errorCode || args.code || 'BRIGHTCOVE_CLIENT_ERROR';
+		this.retryAfter = _.isNumber(args.retryAfter) ? args.retryAfter : null;
+		this.retryable = BrightcoveError.isRetryable(this.statusCode, args.code);
+	}
+
+	// 429s, 5xxs and network resets are retryable. Anything else will fail
+	// the same way again.
+	static isRetryable(statusCode, code) {
+		if (_.isNumber(statusCode)) {
+			return statusCode === 429 || statusCode >= 500;
+		}
+
+		return _.includes(RETRYABLE_ERROR_CODES, code);
+	}
+
+	static parseBody(body) {
+		if (_.isString(body)) {
+			try {
+				body = JSON.parse(body);
+			} catch (err) {
+				body = null;
+			}
+		}
+
+		const detail = _.isArray(body) ? _.first(body) : body;
+
+		return {
+			errorCode: _.get(detail, 'error_code') || null,
+			message: _.get(detail, 'message') || null
+		};
+	}
+}
+
+module.exports = BrightcoveError;
@@ -0,0 +1,64 @@
+'use strict';
+
+const _ = require('lodash');
+
+const VMAP_NAMESPACE = 'http://www.iab.net/videosuite/vmap';
+
+// VMAP time offsets are "start", "end" or hh:mm:ss.mmm
+const formatTimeOffset = adBreak => {
+	if (adBreak.position === 'preroll') {
+		return 'start';
+	} else if (adBreak.position === 'postroll') {
+		return 'end';
+	}
+
+	const ms = Math.round(adBreak.time * 1000);
+	const pad = (number, length) => _.padStart(String(number), length, '0');
+
+	return [
+		pad(Math.floor(ms / 3600000), 2),
+		pad(Math.floor(ms / 60000) % 60, 2),
+		pad(Math.floor(ms / 1000) % 60, 2)
+	].join(':') + `.${pad(ms % 1000, 3)}`;
+};
+
+// Fills the {videoId}, {position}, {time} and {name} placeholders of a VAST
+// tag template, such as
+// https://ads.example.com/vast?vid={videoId}&pos={position}&t={time}
+const formatAdTagUri = (template, video, adBreak) => {
+	const values = {
+		videoId: video.id,
+		position: adBreak.position,
+		time: adBreak.time,
+		name: adBreak.name || ''
+	};
+
+	return template.replace(/\{(videoId|position|time|name)\}/g, (match, key) => {
+		return encodeURIComponent(values[key]);
+	});
+};
+
+// Builds a VMAP 1.0 document with an ad break for each of the adBreaks,
+// requesting ads from the VAST tag template.
+//
+// video *required - The Brightcove video
+// adBreaks *required - [{time, position, name}], see lib/default-video-transform.js
+// template *required - The VAST tag template
+module.exports = (video, adBreaks, template) => {
+	const breaks = adBreaks.map((adBreak, index) => {
+		const breakId = `${adBreak.position}-${index + 1}`;
+
+		return [
+			`\t<vmap:AdBreak timeOffset="${formatTimeOffset(adBreak)}" breakType="linear" breakId="${breakId}">`,
+			`\t\t<vmap:AdSource id="${breakId}-ad" allowMultipleAds="true" followRedirects="true">`,
+			`\t\t\t<vmap:AdTagURI templateType="vast3"><![CDATA[${formatAdTagUri(template, video, adBreak)}]]></vmap:AdTagURI>`,
+			'\t\t</vmap:AdSource>',
+			'\t</vmap:AdBreak>'
+		].join('\n');
+	});
+
+	return [
+		'<?xml version="1.0" encoding="UTF-8"?>',
+		`<vmap:VMAP xmlns:vmap="${VMAP_NAMESPACE}" version="1.0">`
+	].concat(breaks, '</vmap:VMAP>').join('\n');
+};
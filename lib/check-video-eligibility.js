@@ -0,0 +1,42 @@
+'use strict';
+
+const _ = require('lodash');
+const isGeoAllowed = require('./is-geo-allowed');
+
+const HTTPS_MATCHER = /^https:\/\//;
+
+// Built in rules, checked in this order. Each returns true when the video is
+// eligible. Rules which need sources pass when the sources are not known, as
+// with CMS API playlist videos, and are checked again by the video handler.
+const RULES = {
+	VIDEO_INACTIVE: video => !video.state || video.state === 'ACTIVE',
+	VIDEO_INCOMPLETE: video => video.complete !== false,
+	NO_HTTPS_SOURCE: (video, sources) => {
+		return !_.isArray(sources) || sources.some(source => HTTPS_MATCHER.test(source.src));
+	},
+	MISSING_IMAGES: (video, sources, channel, options) => {
+		return options.requiredImages.every(type => Boolean(_.get(video, ['images', type, 'src'])));
+	},
+	GEO_RESTRICTED: (video, sources, channel, options) => isGeoAllowed(video.geo, options.country)
+};
+
+// Returns the reason code for the first rule a video fails, or null when it
+// is eligible.
+//
+// args.video *required
+// args.sources *optional - The video sources, when they are known
+// args.channel *optional - Passed to the rules
+// args.requiredImages *optional - Image types the video must have, such as ['poster']
+// args.country *optional - The viewer country code, for geo restricted videos
+// args.rules *optional - More rules keyed by reason code, (video, sources, channel) => Boolean.
+//                        A rule with a built in code replaces the built in rule.
+module.exports = args => {
+	const sources = _.isArray(args.sources) ? args.sources : null;
+	const options = {
+		requiredImages: args.requiredImages || [],
+		country: args.country || null
+	};
+	const rules = Object.assign({}, RULES, args.rules);
+
+	return _.findKey(rules, rule => !rule(args.video, sources, args.channel, options)) || null;
+};
@@ -2,9 +2,11 @@
 
 const Promise = require('bluebird');
 const _ = require('lodash');
-const request = require('request');
 const taskQueue = require('promise-task-queue');
 const debug = require('debug')('oddworks:provider:brightcove:client');
+const BrightcoveError = require('./brightcove-error');
+const requestTransport = require('./request-transport');
+const sortVideos = require('./sort-videos');
 
 /*
 	via: https://docs.brightcove.com/en/video-cloud/cms-api/getting-started/overview-cms.html
@@ -25,6 +27,13 @@ const debug = require('debug')('oddworks:provider:brightcove:client');
 	Specific endpoint documentaion:
 	https://docs.brightcove.com/en/video-cloud/cms-api/references/cms-api/versions/v1/index.html
 
+	via: https://docs.brightcove.com/en/video-cloud/playback-api/getting-started/overview-playback-api.html
+
+	The Playback API is the recommended API for retrieving video and playlist
+	data for delivery. It authenticates with a policy key instead of OAuth client
+	credentials, applies geo-filtering and scheduling rules on the server, and
+	returns a video's sources along with the video itself.
+
 	via: https://docs.brightcove.com/en/video-cloud/cms-api/getting-started/overview-cms.html
 
 	To ensure the performance of the Video Cloud system, no more than 20 concurrent
@@ -40,33 +49,105 @@ const debug = require('debug')('oddworks:provider:brightcove:client');
 */
 
 const CONCURRENT_REQUEST_LIMIT = 20;
+const REQUESTS_PER_SECOND_LIMIT = 10;
+
+// Retry settings for 429, 5xx and network errors. Delays are in milliseconds.
+const MAX_RETRIES = 3;
+const RETRY_DELAY = 500;
+const MAX_RETRY_DELAY = 30 * 1000;
+
+// Largest `limit` accepted by the CMS API list endpoints.
+const MAX_PAGE_SIZE = 100;
+
+// Methods which may send a JSON request body.
+const BODY_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+// Refresh cached access tokens this many milliseconds before they expire, so a
+// token is never sent to the CMS API in the last moments of its lifetime.
+const ACCESS_TOKEN_EXPIRY_MARGIN = 30 * 1000;
 
 class Client {
 	// args.bus *optional
 	// args.clientId *required
 	// args.clientSecret *required
 	// args.accountId *required
+	// args.policyKey *optional - Enables the Playback API methods
+	// args.liveApiKey *optional - Enables the Live API methods
 	// args.concurrentRequestLimit *optional
+	// args.requestsPerSecondLimit *optional - Use 0 to disable rate limiting
+	// args.maxRetries *optional
+	// args.retryDelay *optional - Base delay in milliseconds for exponential backoff
+	// args.maxRetryDelay *optional
 	// args.skipScheduleCheck *optional
+	// args.baseUrls *optional - Overrides for any of the Client.DEFAULT_BASE_URLS
+	// args.transport *optional - A function which sends requests. See lib/request-transport.js
+	// args.sortComparators *optional - Named comparators, (a, b) => Number, for
+	//                                  sorting videos. See lib/sort-videos.js
+	// args.requiredImages *optional - Image types videos need to be eligible,
+	//                                 such as ['poster']
+	// args.eligibilityRules *optional - More video eligibility rules keyed by
+	//                                   reason code. See lib/check-video-eligibility.js
+	// args.namedEligibilityRules *optional - Eligibility rules keyed by reason code
+	//                                        which channels turn on by name. See
+	//                                        lib/get-eligibility-options.js
+	// args.fieldMap *optional - {video, collection} fields to copy onto resources
+	//                           from Brightcove objects. See lib/apply-field-map.js
 	constructor(args) {
 		this.bus = args.bus || null;
 
 		this.clientId = args.clientId;
 		this.clientSecret = args.clientSecret;
 		this.accountId = args.accountId;
+		this.policyKey = args.policyKey || null;
+		this.liveApiKey = args.liveApiKey || null;
 		this.skipScheduleCheck = _.get(args, 'skipScheduleCheck', false);
 
+		this.baseUrls = Object.assign({}, Client.DEFAULT_BASE_URLS, args.baseUrls);
+
+		this.transport = args.transport || requestTransport;
+		if (!_.isFunction(this.transport)) {
+			throw new Error('Client requires transport to be a Function');
+		}
+
+		this.sortComparators = Object.assign({}, args.sortComparators);
+		if (!_.every(this.sortComparators, _.isFunction)) {
+			throw new Error('Client requires sortComparators to be Functions');
+		}
+
+		this.requiredImages = _.castArray(args.requiredImages || []);
+		this.eligibilityRules = Object.assign({}, args.eligibilityRules);
+		if (!_.every(this.eligibilityRules, _.isFunction)) {
+			throw new Error('Client requires eligibilityRules to be Functions');
+		}
+
+		this.namedEligibilityRules = Object.assign({}, args.namedEligibilityRules);
+		if (!_.every(this.namedEligibilityRules, _.isFunction)) {
+			throw new Error('Client requires namedEligibilityRules to be Functions');
+		}
+
+		this.fieldMap = Object.assign({}, args.fieldMap);
+
+		// Access token cache keyed by clientId:clientSecret. Entries hold the
+		// pending or resolved token request promise and its expiry timestamp.
+		this._accessTokens = Object.create(null);
+
 		this.concurrentRequestLimit = parseInt(args.concurrentRequestLimit, 10) || CONCURRENT_REQUEST_LIMIT;
 		if (!_.isNumber(this.concurrentRequestLimit)) {
 			throw new Error('Client requires concurrentRequestLimit to be a Number');
 		}
 
+		this.requestsPerSecondLimit = Client.numberOption(args.requestsPerSecondLimit, REQUESTS_PER_SECOND_LIMIT);
+		this.maxRetries = Client.numberOption(args.maxRetries, MAX_RETRIES);
+		this.retryDelay = Client.numberOption(args.retryDelay, RETRY_DELAY);
+		this.maxRetryDelay = Client.numberOption(args.maxRetryDelay, MAX_RETRY_DELAY);
+
 		// to debug taskQueue: DEBUG=promise-task-queue:*
 		this._queue = taskQueue();
 		this._queue.define('request', task => {
-			return Client.request(task);
+			return Client.request(task, this.transport);
 		}, {
-			// interval: 60 / (args.requestsPerSecondLimit || REQUESTS_PER_SECOND_LIMIT),
+			// interval is the minimum number of seconds between request starts
+			interval: this.requestsPerSecondLimit > 0 ? 1 / this.requestsPerSecondLimit : 0,
 			concurrency: this.concurrentRequestLimit
 		});
 
@@ -74,6 +155,8 @@ class Client {
 		this.getBearerAuthorization = this.getBearerAuthorization.bind(this);
 
 		this.getAccessToken = this.getAccessToken.bind(this);
+		this.invalidateAccessToken = this.invalidateAccessToken.bind(this);
+		this.authorizedRequest = this.authorizedRequest.bind(this);
 		this.getPlaylistCount = this.getPlaylistCount.bind(this);
 		this.getPlaylists = this.getPlaylists.bind(this);
 		this.getPlaylist = this.getPlaylist.bind(this);
@@ -83,6 +166,25 @@ class Client {
 		this.getVideos = this.getVideos.bind(this);
 		this.getVideo = this.getVideo.bind(this);
 		this.getVideoSources = this.getVideoSources.bind(this);
+		this.getVideoVariants = this.getVideoVariants.bind(this);
+		this.getAllPlaylists = this.getAllPlaylists.bind(this);
+		this.getAllVideos = this.getAllVideos.bind(this);
+		this.getAllVideosByPlaylist = this.getAllVideosByPlaylist.bind(this);
+		this.getFolders = this.getFolders.bind(this);
+		this.getFolder = this.getFolder.bind(this);
+		this.getVideosByFolder = this.getVideosByFolder.bind(this);
+		this.getAllVideosByFolder = this.getAllVideosByFolder.bind(this);
+		this.getPlaybackVideo = this.getPlaybackVideo.bind(this);
+		this.getPlaybackPlaylist = this.getPlaybackPlaylist.bind(this);
+		this.getLiveJobs = this.getLiveJobs.bind(this);
+		this.getLiveJob = this.getLiveJob.bind(this);
+		this.getLivePlaybackUrls = this.getLivePlaybackUrls.bind(this);
+		this.createVideo = this.createVideo.bind(this);
+		this.updateVideo = this.updateVideo.bind(this);
+		this.deleteVideo = this.deleteVideo.bind(this);
+		this.createPlaylist = this.createPlaylist.bind(this);
+		this.updatePlaylist = this.updatePlaylist.bind(this);
+		this.deletePlaylist = this.deletePlaylist.bind(this);
 	}
 
 	getBasicAuthorization(clientId, clientSecret) {
@@ -119,9 +221,18 @@ class Client {
 			throw new Error('A clientSecret string is required for getAccessToken()');
 		}
 
+		const key = Client.accessTokenKey(clientId, clientSecret);
+		const cached = this._accessTokens[key];
+
+		// Share a pending request with concurrent callers, and reuse a resolved
+		// token until it is about to expire.
+		if (cached && (!cached.expiresAt || _.now() < cached.expiresAt - ACCESS_TOKEN_EXPIRY_MARGIN)) {
+			return cached.promise;
+		}
+
 		const params = {
 			method: 'POST',
-			baseUrl: Client.OAUTH_BASE_URL,
+			baseUrl: this.baseUrls.oauth,
 			path: '/access_token',
 			contentType: 'application/x-www-form-urlencoded',
 			authorization: this.getBasicAuthorization(clientId, clientSecret),
@@ -130,7 +241,82 @@ class Client {
 			}
 		};
 
-		return this.makeRequest(params);
+		const entry = {expiresAt: null};
+		entry.promise = this.makeRequest(params)
+			.then(res => {
+				const expiresIn = parseInt(_.get(res, 'expires_in'), 10);
+
+				if (expiresIn > 0) {
+					entry.expiresAt = _.now() + (expiresIn * 1000);
+				} else {
+					// without an expiry we have no way to know when to refresh
+					debug('access token response has no expires_in, not caching');
+					this._removeAccessToken(key, entry);
+				}
+
+				return res;
+			})
+			.catch(err => {
+				this._removeAccessToken(key, entry);
+				return Promise.reject(err);
+			});
+
+		this._accessTokens[key] = entry;
+		return entry.promise;
+	}
+
+	// args.clientId *optional - Defaults to this.clientId
+	// args.clientSecret *optional - Defaults to this.clientSecret
+	invalidateAccessToken(args) {
+		args = args || {};
+		const clientId = _.get(args, 'clientId', this.clientId);
+		const clientSecret = _.get(args, 'clientSecret', this.clientSecret);
+
+		delete this._accessTokens[Client.accessTokenKey(clientId, clientSecret)];
+	}
+
+	_removeAccessToken(key, entry) {
+		// only remove the entry if it has not already been replaced
+		if (this._accessTokens[key] === entry) {
+			delete this._accessTokens[key];
+		}
+	}
+
+	// Makes a request with a Bearer authorization from getAccessToken(). A 401
+	// response to the request invalidates the cached access token and retries
+	// the request once. A 401 from the access token request itself, such as for
+	// a wrong client secret, is not retried.
+	//
+	// args - All the arguments accepted by getAccessToken() and makeRequest()
+	authorizedRequest(args) {
+		args = args || {};
+
+		const send = auth => {
+			const authorization = this.getBearerAuthorization(auth.access_token);
+			return this.makeRequest(Object.assign({}, args, {authorization}));
+		};
+
+		const getAccessToken = this.getAccessToken(args);
+
+		// the cache entry of the token used for the request, so that a 401
+		// does not remove a token another request has already refreshed
+		const key = Client.accessTokenKey(
+			_.get(args, 'clientId', this.clientId),
+			_.get(args, 'clientSecret', this.clientSecret)
+		);
+		const entry = this._accessTokens[key];
+
+		return getAccessToken.then(auth => {
+			return send(auth).catch(err => {
+				if (err.statusCode === 401 && !_.isString(args.accessToken)) {
+					debug('401 response, invalidating access token and retrying');
+					this._removeAccessToken(key, entry);
+					return this.getAccessToken(args).then(send);
+				}
+
+				return Promise.reject(err);
+			});
+		});
 	}
 
 	// args.accountId *required
@@ -143,18 +329,15 @@ class Client {
 			throw new Error('An accountId string is required for getPlaylistCount()');
 		}
 
-		return this.getAccessToken(args).then(res => {
-			args = Object.assign({}, args, {
-				method: 'GET',
-				baseUrl: Client.CMS_API_BASE_URL,
-				path: `/accounts/${accountId}/counts/playlists`,
-				contentType: Client.DEFAULT_CONTENT_TYPE,
-				authorization: this.getBearerAuthorization(res.access_token),
-				query: Object.assign({}, args.query)
-			});
-
-			return this.makeRequest(args);
+		args = Object.assign({}, args, {
+			method: 'GET',
+			baseUrl: this.baseUrls.cms,
+			path: `/accounts/${accountId}/counts/playlists`,
+			contentType: Client.DEFAULT_CONTENT_TYPE,
+			query: Object.assign({}, args.query)
 		});
+
+		return this.authorizedRequest(args);
 	}
 
 	// args.accountId *required
@@ -167,18 +350,15 @@ class Client {
 			throw new Error('An accountId string is required for getPlaylists()');
 		}
 
-		return this.getAccessToken(args).then(auth => {
-			args = Object.assign({}, args, {
-				method: 'GET',
-				baseUrl: Client.CMS_API_BASE_URL,
-				path: `/accounts/${accountId}/playlists`,
-				contentType: Client.DEFAULT_CONTENT_TYPE,
-				authorization: this.getBearerAuthorization(auth.access_token),
-				query: Object.assign({}, args.query)
-			});
-
-			return this.makeRequest(args);
+		args = Object.assign({}, args, {
+			method: 'GET',
+			baseUrl: this.baseUrls.cms,
+			path: `/accounts/${accountId}/playlists`,
+			contentType: Client.DEFAULT_CONTENT_TYPE,
+			query: Object.assign({}, args.query)
 		});
+
+		return this.authorizedRequest(args);
 	}
 
 	// args.accountId *optional - Defaults to this.accountId
@@ -197,30 +377,28 @@ class Client {
 			throw new Error('A playlistId string is required for getPlaylist()');
 		}
 
-		return this.getAccessToken(args).then(auth => {
-			args = Object.assign({}, args, {
-				method: 'GET',
-				baseUrl: Client.CMS_API_BASE_URL,
-				path: `/accounts/${accountId}/playlists/${playlistId}`,
-				contentType: Client.DEFAULT_CONTENT_TYPE,
-				authorization: this.getBearerAuthorization(auth.access_token),
-				query: {}
-			});
-
-			return this.makeRequest(args);
+		args = Object.assign({}, args, {
+			method: 'GET',
+			baseUrl: this.baseUrls.cms,
+			path: `/accounts/${accountId}/playlists/${playlistId}`,
+			contentType: Client.DEFAULT_CONTENT_TYPE,
+			query: {}
 		});
+
+		return this.authorizedRequest(args);
 	}
 
 	// args.accountId *required
 	// args.playlistId *required
 	// args.skipScheduleCheck *optional
-	// args.sortByReleaseDate *optional
+	// args.sort *optional - A sort such as "name" or "-published". See lib/sort-videos.js
+	// args.sortByReleaseDate *optional - The same as sort "-scheduled"
 	getVideosByPlaylist(args) {
 		args = args || {};
 		const accountId = _.get(args, 'accountId', this.accountId);
 		const playlistId = args.playlistId;
 		const skipScheduleCheck = _.get(args, 'skipScheduleCheck', this.skipScheduleCheck);
-		const sortByReleaseDate = _.get(args, 'sortByReleaseDate') || false;
+		const sort = Client.videoSort(args);
 
 		if (!_.isString(accountId)) {
 			throw new Error('An accountId string is required for getVideosByPlaylist()');
@@ -230,59 +408,37 @@ class Client {
 			throw new Error('A playlistId string is required for getVideosByPlaylist()');
 		}
 
-		return this.getAccessToken(args).then(auth => {
-			args = Object.assign({}, args, {
-				method: 'GET',
-				baseUrl: Client.CMS_API_BASE_URL,
-				path: `/accounts/${accountId}/playlists/${playlistId}/videos`,
-				contentType: Client.DEFAULT_CONTENT_TYPE,
-				authorization: this.getBearerAuthorization(auth.access_token),
-				query: Object.assign({}, args.query)
-			});
-
-			return this
-				.makeRequest(args)
-				.then(videos => {
-					if (!_.isEmpty(videos) && !skipScheduleCheck) {
-						// using the Client.resolveIfScheduled, resolve with only published videos
-						return Promise.reduce(videos.map(Client.resolveIfScheduled), (published, video) => {
-							if (video) {
-								published.push(video);
-							}
-							return Promise.resolve(published);
-						}, []);
-					}
-
-					debug(`not checking schedule for playlist "${playlistId}"`);
-					return Promise.resolve(videos);
-				})
-				.then(videos => {
-					if (!_.isEmpty(videos) && sortByReleaseDate) {
-						return Promise.resolve(videos.sort((a, b) => {
-							let aDate = new Date(a.published_at);
-							let bDate = new Date(b.published_at);
-
-							if (_.has(a, 'schedule') &&	!_.isNull(a.schedule) && !_.isUndefined(a.schedule)) {
-								const startsAt = _.get(a, 'schedule.starts_at');
-								if (!_.isNaN(Date.parse(startsAt))) {
-									aDate = new Date(startsAt);
-								}
-							}
-
-							if (_.has(b, 'schedule') &&	!_.isNull(b.schedule) && !_.isUndefined(b.schedule)) {
-								const startsAt = _.get(b, 'schedule.starts_at');
-								if (!_.isNaN(Date.parse(startsAt))) {
-									bDate = new Date(startsAt);
-								}
-							}
-							// sort newest to oldest
-							return bDate - aDate;
-						}));
-					}
-
-					return Promise.resolve(videos);
-				});
+		args = Object.assign({}, args, {
+			method: 'GET',
+			baseUrl: this.baseUrls.cms,
+			path: `/accounts/${accountId}/playlists/${playlistId}/videos`,
+			contentType: Client.DEFAULT_CONTENT_TYPE,
+			query: Object.assign({}, args.query)
 		});
+
+		return this
+			.authorizedRequest(args)
+			.then(videos => {
+				if (!_.isEmpty(videos) && !skipScheduleCheck) {
+					// using the Client.resolveIfScheduled, resolve with only published videos
+					return Promise.reduce(videos.map(Client.resolveIfScheduled), (published, video) => {
+						if (video) {
+							published.push(video);
+						}
+						return Promise.resolve(published);
+					}, []);
+				}
+
+				debug(`not checking schedule for playlist "${playlistId}"`);
+				return Promise.resolve(videos);
+			})
+			.then(videos => {
+				if (!_.isEmpty(videos) && sort) {
+					return Promise.resolve(sortVideos(videos, sort, this.sortComparators));
+				}
+
+				return Promise.resolve(videos);
+			});
 	}
 
 	// args.accountId *required
@@ -300,18 +456,15 @@ class Client {
 			throw new Error('A playlistId string is required for getVideoCountByPlaylist()');
 		}
 
-		return this.getAccessToken(args).then(auth => {
-			args = Object.assign({}, args, {
-				method: 'GET',
-				baseUrl: Client.CMS_API_BASE_URL,
-				path: `/accounts/${accountId}/counts/playlists/${playlistId}/videos`,
-				contentType: Client.DEFAULT_CONTENT_TYPE,
-				authorization: this.getBearerAuthorization(auth.access_token),
-				query: {}
-			});
-
-			return this.makeRequest(args);
+		args = Object.assign({}, args, {
+			method: 'GET',
+			baseUrl: this.baseUrls.cms,
+			path: `/accounts/${accountId}/counts/playlists/${playlistId}/videos`,
+			contentType: Client.DEFAULT_CONTENT_TYPE,
+			query: {}
 		});
+
+		return this.authorizedRequest(args);
 	}
 
 	// args.accountId *required
@@ -324,18 +477,15 @@ class Client {
 			throw new Error('An accountId string is required for getVideoCount()');
 		}
 
-		return this.getAccessToken(args).then(auth => {
-			args = Object.assign({}, args, {
-				method: 'GET',
-				baseUrl: Client.CMS_API_BASE_URL,
-				path: `/accounts/${accountId}/counts/videos`,
-				contentType: Client.DEFAULT_CONTENT_TYPE,
-				authorization: this.getBearerAuthorization(auth.access_token),
-				query: Object.assign({}, args.query)
-			});
-
-			return this.makeRequest(args);
+		args = Object.assign({}, args, {
+			method: 'GET',
+			baseUrl: this.baseUrls.cms,
+			path: `/accounts/${accountId}/counts/videos`,
+			contentType: Client.DEFAULT_CONTENT_TYPE,
+			query: Object.assign({}, args.query)
 		});
+
+		return this.authorizedRequest(args);
 	}
 
 	// args.accountId *required
@@ -350,33 +500,30 @@ class Client {
 			throw new Error('An accountId string is required for getVideos()');
 		}
 
-		return this.getAccessToken(args).then(auth => {
-			args = Object.assign({}, args, {
-				method: 'GET',
-				baseUrl: Client.CMS_API_BASE_URL,
-				path: `/accounts/${accountId}/videos`,
-				contentType: Client.DEFAULT_CONTENT_TYPE,
-				authorization: this.getBearerAuthorization(auth.access_token),
-				query: Object.assign({}, args.query)
-			});
+		args = Object.assign({}, args, {
+			method: 'GET',
+			baseUrl: this.baseUrls.cms,
+			path: `/accounts/${accountId}/videos`,
+			contentType: Client.DEFAULT_CONTENT_TYPE,
+			query: Object.assign({}, args.query)
+		});
 
-			return this
-							.makeRequest(args)
-							.then(videos => {
-								if (!_.isEmpty(videos) && !skipScheduleCheck) {
-									// using the Client.resolveIfScheduled, resolve with only published videos
-									return Promise.reduce(videos.map(Client.resolveIfScheduled), (published, video) => {
-										if (video) {
-											published.push(video);
-										}
-										return Promise.resolve(published);
-									}, []);
-								}
+		return this
+			.authorizedRequest(args)
+			.then(videos => {
+				if (!_.isEmpty(videos) && !skipScheduleCheck) {
+					// using the Client.resolveIfScheduled, resolve with only published videos
+					return Promise.reduce(videos.map(Client.resolveIfScheduled), (published, video) => {
+						if (video) {
+							published.push(video);
+						}
+						return Promise.resolve(published);
+					}, []);
+				}
 
-								debug('not checking schedule for videos');
-								return Promise.resolve(videos);
-							});
-		});
+				debug('not checking schedule for videos');
+				return Promise.resolve(videos);
+			});
 	}
 
 	// args.accountId *optional - Defaults to this.accountId
@@ -397,28 +544,25 @@ class Client {
 			throw new Error('A videoId string is required for getVideo()');
 		}
 
-		return this.getAccessToken(args).then(auth => {
-			args = Object.assign({}, args, {
-				method: 'GET',
-				baseUrl: Client.CMS_API_BASE_URL,
-				path: `/accounts/${accountId}/videos/${videoId}`,
-				contentType: Client.DEFAULT_CONTENT_TYPE,
-				authorization: this.getBearerAuthorization(auth.access_token),
-				query: {}
-			});
+		args = Object.assign({}, args, {
+			method: 'GET',
+			baseUrl: this.baseUrls.cms,
+			path: `/accounts/${accountId}/videos/${videoId}`,
+			contentType: Client.DEFAULT_CONTENT_TYPE,
+			query: {}
+		});
 
-			return this
-							.makeRequest(args)
-							.then(video => {
-								debug(`video "${videoId}" exists: ${Boolean(video)} skipScheduleCheck: ${skipScheduleCheck}`);
-								if (video && !skipScheduleCheck) {
-									// using the Client.resolveIfScheduled, resolve with only published videos
-									return Client.resolveIfScheduled(video);
-								}
+		return this
+			.authorizedRequest(args)
+			.then(video => {
+				debug(`video "${videoId}" exists: ${Boolean(video)} skipScheduleCheck: ${skipScheduleCheck}`);
+				if (video && !skipScheduleCheck) {
+					// using the Client.resolveIfScheduled, resolve with only published videos
+					return Client.resolveIfScheduled(video);
+				}
 
-								return Promise.resolve(video);
-							});
-		});
+				return Promise.resolve(video);
+			});
 	}
 
 	// args.accountId *optional - Defaults to this.accountId
@@ -437,47 +581,631 @@ class Client {
 			throw new Error('A videoId string is required for getVideo()');
 		}
 
-		return this.getAccessToken(args).then(auth => {
-			args = Object.assign({}, args, {
-				method: 'GET',
-				baseUrl: Client.CMS_API_BASE_URL,
-				path: `/accounts/${accountId}/videos/${videoId}/sources`,
-				contentType: Client.DEFAULT_CONTENT_TYPE,
-				authorization: this.getBearerAuthorization(auth.access_token),
-				query: {}
+		args = Object.assign({}, args, {
+			method: 'GET',
+			baseUrl: this.baseUrls.cms,
+			path: `/accounts/${accountId}/videos/${videoId}/sources`,
+			contentType: Client.DEFAULT_CONTENT_TYPE,
+			query: {}
+		});
+
+		return this.authorizedRequest(args);
+	}
+
+	// Fetches the language variants of a video, each with the translated name,
+	// description, long_description and custom_fields.
+	//
+	// args.accountId *optional - Defaults to this.accountId
+	// args.videoId *required - Can be a Video Cloud video ID or a single reference
+	// 													ID (ref:reference_id). See: https://apis.support.brightcove.com/cms/references/reference.html#tag/Video-Variants
+	getVideoVariants(args) {
+		args = args || {};
+		const accountId = _.get(args, 'accountId', this.accountId);
+		const videoId = args.videoId;
+
+		if (!_.isString(accountId)) {
+			throw new Error('An accountId string is required for getVideoVariants()');
+		}
+
+		if (!_.isString(videoId)) {
+			throw new Error('A videoId string is required for getVideoVariants()');
+		}
+
+		args = Object.assign({}, args, {
+			method: 'GET',
+			baseUrl: this.baseUrls.cms,
+			path: `/accounts/${accountId}/videos/${videoId}/variants`,
+			contentType: Client.DEFAULT_CONTENT_TYPE,
+			query: {}
+		});
+
+		return this.authorizedRequest(args);
+	}
+
+	// Fetches every playlist in the account, one page at a time.
+	//
+	// args.accountId *optional - Defaults to this.accountId
+	// args.query *optional - Same as getPlaylists(), but limit and offset are managed for you
+	// args.pageSize *optional - Defaults to 100
+	getAllPlaylists(args) {
+		args = args || {};
+		const query = _.omit(args.query, ['limit', 'offset']);
+
+		return this.getPlaylistCount(Object.assign({}, args, {query: _.pick(query, 'q')})).then(res => {
+			return Client.getAllPages(_.get(res, 'count'), args.pageSize, page => {
+				return this.getPlaylists(Object.assign({}, args, {query: Object.assign({}, query, page)}));
+			});
+		});
+	}
+
+	// Fetches every video in the account, one page at a time. Unscheduled
+	// videos are filtered from each page the same way getVideos() does.
+	//
+	// args.accountId *optional - Defaults to this.accountId
+	// args.query *optional - Same as getVideos(), but limit and offset are managed for you
+	// args.pageSize *optional - Defaults to 100
+	// args.maxCount *optional - Only fetch the pages for the first maxCount videos
+	// args.skipScheduleCheck *optional
+	getAllVideos(args) {
+		args = args || {};
+		const query = _.omit(args.query, ['limit', 'offset']);
+		const maxCount = parseInt(args.maxCount, 10) || Infinity;
+
+		return this.getVideoCount(Object.assign({}, args, {query: _.pick(query, 'q')})).then(res => {
+			const count = Math.min(parseInt(_.get(res, 'count'), 10) || 0, maxCount);
+
+			return Client.getAllPages(count, args.pageSize, page => {
+				return this.getVideos(Object.assign({}, args, {query: Object.assign({}, query, page)}));
+			});
+		});
+	}
+
+	// Fetches every video in a playlist, one page at a time.
+	//
+	// args.accountId *optional - Defaults to this.accountId
+	// args.playlistId *required
+	// args.pageSize *optional - Defaults to 100
+	// args.skipScheduleCheck *optional
+	// args.sort *optional - See getVideosByPlaylist()
+	// args.sortByReleaseDate *optional
+	getAllVideosByPlaylist(args) {
+		args = args || {};
+		const sort = Client.videoSort(args);
+
+		return this.getVideoCountByPlaylist(args)
+			.then(res => {
+				return Client.getAllPages(_.get(res, 'count'), args.pageSize, page => {
+					// sort once all the pages are in, not page by page
+					return this.getVideosByPlaylist(Object.assign({}, args, {
+						query: Object.assign({}, args.query, page),
+						sort: null,
+						sortByReleaseDate: false
+					}));
+				});
+			})
+			.then(videos => {
+				if (!_.isEmpty(videos) && sort) {
+					return sortVideos(videos, sort, this.sortComparators);
+				}
+
+				return videos;
+			});
+	}
+
+	// args.accountId *optional - Defaults to this.accountId
+	getFolders(args) {
+		args = args || {};
+		const accountId = _.get(args, 'accountId', this.accountId);
+
+		if (!_.isString(accountId)) {
+			throw new Error('An accountId string is required for getFolders()');
+		}
+
+		args = Object.assign({}, args, {
+			method: 'GET',
+			baseUrl: this.baseUrls.cms,
+			path: `/accounts/${accountId}/folders`,
+			contentType: Client.DEFAULT_CONTENT_TYPE,
+			query: {}
+		});
+
+		return this.authorizedRequest(args);
+	}
+
+	// args.accountId *optional - Defaults to this.accountId
+	// args.folderId *required
+	getFolder(args) {
+		args = args || {};
+		const accountId = _.get(args, 'accountId', this.accountId);
+		const folderId = args.folderId;
+
+		if (!_.isString(accountId)) {
+			throw new Error('An accountId string is required for getFolder()');
+		}
+
+		if (!_.isString(folderId)) {
+			throw new Error('A folderId string is required for getFolder()');
+		}
+
+		args = Object.assign({}, args, {
+			method: 'GET',
+			baseUrl: this.baseUrls.cms,
+			path: `/accounts/${accountId}/folders/${folderId}`,
+			contentType: Client.DEFAULT_CONTENT_TYPE,
+			query: {}
+		});
+
+		return this.authorizedRequest(args);
+	}
+
+	// args.accountId *optional - Defaults to this.accountId
+	// args.folderId *required
+	// args.query *optional - limit, offset and sort. See: https://docs.brightcove.com/en/video-cloud/cms-api/references/cms-api/versions/v1/index.html#api-folderGroup-Get_Videos_in_Folder
+	// args.skipScheduleCheck *optional
+	getVideosByFolder(args) {
+		args = args || {};
+		const accountId = _.get(args, 'accountId', this.accountId);
+		const folderId = args.folderId;
+		const skipScheduleCheck = _.get(args, 'skipScheduleCheck', this.skipScheduleCheck);
+
+		if (!_.isString(accountId)) {
+			throw new Error('An accountId string is required for getVideosByFolder()');
+		}
+
+		if (!_.isString(folderId)) {
+			throw new Error('A folderId string is required for getVideosByFolder()');
+		}
+
+		args = Object.assign({}, args, {
+			method: 'GET',
+			baseUrl: this.baseUrls.cms,
+			path: `/accounts/${accountId}/folders/${folderId}/videos`,
+			contentType: Client.DEFAULT_CONTENT_TYPE,
+			query: Object.assign({}, args.query)
+		});
+
+		return this
+			.authorizedRequest(args)
+			.then(videos => {
+				if (!_.isEmpty(videos) && !skipScheduleCheck) {
+					// using the Client.resolveIfScheduled, resolve with only published videos
+					return Promise.reduce(videos.map(Client.resolveIfScheduled), (published, video) => {
+						if (video) {
+							published.push(video);
+						}
+						return Promise.resolve(published);
+					}, []);
+				}
+
+				debug(`not checking schedule for folder "${folderId}"`);
+				return Promise.resolve(videos);
 			});
+	}
 
-			return this.makeRequest(args);
+	// Fetches every video in a folder, one page at a time. The folder
+	// video_count is used as the total.
+	//
+	// args.accountId *optional - Defaults to this.accountId
+	// args.folderId *required
+	// args.videoCount *optional - The folder video_count, when the folder has
+	//                             already been fetched
+	// args.query *optional - Same as getVideosByFolder(), but limit and offset are managed for you
+	// args.pageSize *optional - Defaults to 100
+	// args.skipScheduleCheck *optional
+	getAllVideosByFolder(args) {
+		args = args || {};
+		const query = _.omit(args.query, ['limit', 'offset']);
+
+		const getCount = _.has(args, 'videoCount') ?
+			Promise.resolve(args.videoCount) :
+			this.getFolder(args).then(folder => _.get(folder, 'video_count'));
+
+		return getCount.then(count => {
+			return Client.getAllPages(count, args.pageSize, page => {
+				return this.getVideosByFolder(Object.assign({}, args, {query: Object.assign({}, query, page)}));
+			});
+		});
+	}
+
+	// Fetches a video, including its sources, from the Playback API.
+	//
+	// args.accountId *optional - Defaults to this.accountId
+	// args.videoId *required - Can be a Video Cloud video ID or a single reference
+	// 													ID (ref:reference_id). See: https://docs.brightcove.com/en/video-cloud/playback-api/references/playback-api-video-fields-reference.html
+	// args.policyKey *optional - Defaults to this.policyKey
+	getPlaybackVideo(args) {
+		args = args || {};
+		const accountId = _.get(args, 'accountId', this.accountId);
+		const videoId = args.videoId;
+		const policyKey = _.get(args, 'policyKey', this.policyKey);
+
+		if (!_.isString(accountId)) {
+			throw new Error('An accountId string is required for getPlaybackVideo()');
+		}
+
+		if (!_.isString(videoId)) {
+			throw new Error('A videoId string is required for getPlaybackVideo()');
+		}
+
+		if (!_.isString(policyKey)) {
+			throw new Error('A policyKey string is required for getPlaybackVideo()');
+		}
+
+		args = Object.assign({}, args, {
+			method: 'GET',
+			baseUrl: this.baseUrls.playback,
+			path: `/accounts/${accountId}/videos/${videoId}`,
+			contentType: Client.DEFAULT_CONTENT_TYPE,
+			policyKey,
+			query: {}
 		});
+
+		return this.makeRequest(args);
 	}
 
+	// Fetches a playlist, including its videos, from the Playback API.
+	//
+	// args.accountId *optional - Defaults to this.accountId
+	// args.playlistId *required - Can be a Video Cloud playlist ID or a single
+	// 														 reference ID (ref:reference_id)
+	// args.policyKey *optional - Defaults to this.policyKey
+	// args.query *optional - Supports limit and offset for the playlist videos
+	getPlaybackPlaylist(args) {
+		args = args || {};
+		const accountId = _.get(args, 'accountId', this.accountId);
+		const playlistId = args.playlistId;
+		const policyKey = _.get(args, 'policyKey', this.policyKey);
+
+		if (!_.isString(accountId)) {
+			throw new Error('An accountId string is required for getPlaybackPlaylist()');
+		}
+
+		if (!_.isString(playlistId)) {
+			throw new Error('A playlistId string is required for getPlaybackPlaylist()');
+		}
+
+		if (!_.isString(policyKey)) {
+			throw new Error('A policyKey string is required for getPlaybackPlaylist()');
+		}
+
+		args = Object.assign({}, args, {
+			method: 'GET',
+			baseUrl: this.baseUrls.playback,
+			path: `/accounts/${accountId}/playlists/${playlistId}`,
+			contentType: Client.DEFAULT_CONTENT_TYPE,
+			policyKey,
+			query: Object.assign({}, args.query)
+		});
+
+		return this.makeRequest(args);
+	}
+
+	// Lists Live API jobs. The Live API authenticates with an API key rather
+	// than an access token, and is not scoped to an accountId.
+	//
+	// args.liveApiKey *optional - Defaults to this.liveApiKey
+	// args.query *optional - Filters such as state, and page_size and
+	// 											 start_token for paging. See: https://apis.support.brightcove.com/live-api/references/reference.html
+	getLiveJobs(args) {
+		args = args || {};
+		const liveApiKey = _.get(args, 'liveApiKey', this.liveApiKey);
+
+		if (!_.isString(liveApiKey)) {
+			throw new Error('A liveApiKey string is required for getLiveJobs()');
+		}
+
+		args = Object.assign({}, args, {
+			method: 'GET',
+			baseUrl: this.baseUrls.live,
+			path: '/jobs',
+			contentType: Client.DEFAULT_CONTENT_TYPE,
+			apiKey: liveApiKey,
+			query: Object.assign({}, args.query)
+		});
+
+		return this.makeRequest(args);
+	}
+
+	// Resolves with the job, or null when it does not exist.
+	//
+	// args.jobId *required
+	// args.liveApiKey *optional - Defaults to this.liveApiKey
+	getLiveJob(args) {
+		args = args || {};
+		const jobId = args.jobId;
+		const liveApiKey = _.get(args, 'liveApiKey', this.liveApiKey);
+
+		if (!_.isString(jobId)) {
+			throw new Error('A jobId string is required for getLiveJob()');
+		}
+
+		if (!_.isString(liveApiKey)) {
+			throw new Error('A liveApiKey string is required for getLiveJob()');
+		}
+
+		args = Object.assign({}, args, {
+			method: 'GET',
+			baseUrl: this.baseUrls.live,
+			path: `/jobs/${jobId}`,
+			contentType: Client.DEFAULT_CONTENT_TYPE,
+			apiKey: liveApiKey,
+			query: {}
+		});
+
+		// the job is wrapped in a {job} object
+		return this.makeRequest(args).then(res => {
+			return res ? _.get(res, 'job', res) : null;
+		});
+	}
+
+	// Resolves with the playback URLs of a job, {hls, dvr, vod}, or null when
+	// the job does not exist. URLs the job does not have are null.
+	//
+	// args.jobId *required
+	// args.liveApiKey *optional - Defaults to this.liveApiKey
+	getLivePlaybackUrls(args) {
+		return this.getLiveJob(args).then(job => {
+			return job ? Client.livePlaybackUrls(job) : null;
+		});
+	}
+
+	// args.accountId *optional - Defaults to this.accountId
+	// args.video *required - The video fields, name is required. See: https://docs.brightcove.com/en/video-cloud/cms-api/references/cms-api/versions/v1/index.html#api-videoGroup-Create_Video
+	createVideo(args) {
+		args = args || {};
+		const accountId = _.get(args, 'accountId', this.accountId);
+		const video = args.video;
+
+		if (!_.isString(accountId)) {
+			throw new Error('An accountId string is required for createVideo()');
+		}
+
+		if (!_.isPlainObject(video)) {
+			throw new Error('A video object is required for createVideo()');
+		}
+
+		args = Object.assign({}, args, {
+			method: 'POST',
+			baseUrl: this.baseUrls.cms,
+			path: `/accounts/${accountId}/videos`,
+			contentType: Client.DEFAULT_CONTENT_TYPE,
+			body: video,
+			idempotent: false,
+			query: {}
+		});
+
+		return this.authorizedRequest(args);
+	}
+
+	// args.accountId *optional - Defaults to this.accountId
+	// args.videoId *required
+	// args.video *required - The video fields to change, such as name, tags or
+	// 												custom_fields. See: https://docs.brightcove.com/en/video-cloud/cms-api/references/cms-api/versions/v1/index.html#api-videoGroup-Update_Video
+	updateVideo(args) {
+		args = args || {};
+		const accountId = _.get(args, 'accountId', this.accountId);
+		const videoId = args.videoId;
+		const video = args.video;
+
+		if (!_.isString(accountId)) {
+			throw new Error('An accountId string is required for updateVideo()');
+		}
+
+		if (!_.isString(videoId)) {
+			throw new Error('A videoId string is required for updateVideo()');
+		}
+
+		if (!_.isPlainObject(video)) {
+			throw new Error('A video object is required for updateVideo()');
+		}
+
+		args = Object.assign({}, args, {
+			method: 'PATCH',
+			baseUrl: this.baseUrls.cms,
+			path: `/accounts/${accountId}/videos/${videoId}`,
+			contentType: Client.DEFAULT_CONTENT_TYPE,
+			body: video,
+			query: {}
+		});
+
+		return this.authorizedRequest(args);
+	}
+
+	// args.accountId *optional - Defaults to this.accountId
+	// args.videoId *required - Can be a Video Cloud video ID, multiple IDs
+	// 													separated by commas, or a single reference ID (ref:reference_id)
+	deleteVideo(args) {
+		args = args || {};
+		const accountId = _.get(args, 'accountId', this.accountId);
+		const videoId = args.videoId;
+
+		if (!_.isString(accountId)) {
+			throw new Error('An accountId string is required for deleteVideo()');
+		}
+
+		if (!_.isString(videoId)) {
+			throw new Error('A videoId string is required for deleteVideo()');
+		}
+
+		args = Object.assign({}, args, {
+			method: 'DELETE',
+			baseUrl: this.baseUrls.cms,
+			path: `/accounts/${accountId}/videos/${videoId}`,
+			contentType: Client.DEFAULT_CONTENT_TYPE,
+			query: {}
+		});
+
+		return this.authorizedRequest(args);
+	}
+
+	// args.accountId *optional - Defaults to this.accountId
+	// args.playlist *required - The playlist fields, name and type are required. See: https://docs.brightcove.com/en/video-cloud/cms-api/references/cms-api/versions/v1/index.html#api-playlistGroup-Create_Playlist
+	createPlaylist(args) {
+		args = args || {};
+		const accountId = _.get(args, 'accountId', this.accountId);
+		const playlist = args.playlist;
+
+		if (!_.isString(accountId)) {
+			throw new Error('An accountId string is required for createPlaylist()');
+		}
+
+		if (!_.isPlainObject(playlist)) {
+			throw new Error('A playlist object is required for createPlaylist()');
+		}
+
+		args = Object.assign({}, args, {
+			method: 'POST',
+			baseUrl: this.baseUrls.cms,
+			path: `/accounts/${accountId}/playlists`,
+			contentType: Client.DEFAULT_CONTENT_TYPE,
+			body: playlist,
+			idempotent: false,
+			query: {}
+		});
+
+		return this.authorizedRequest(args);
+	}
+
+	// args.accountId *optional - Defaults to this.accountId
+	// args.playlistId *required
+	// args.playlist *required - The playlist fields to change. Reorder a manual
+	// 													 playlist by sending its video_ids in the new order. See: https://docs.brightcove.com/en/video-cloud/cms-api/references/cms-api/versions/v1/index.html#api-playlistGroup-Update_Playlist
+	updatePlaylist(args) {
+		args = args || {};
+		const accountId = _.get(args, 'accountId', this.accountId);
+		const playlistId = args.playlistId;
+		const playlist = args.playlist;
+
+		if (!_.isString(accountId)) {
+			throw new Error('An accountId string is required for updatePlaylist()');
+		}
+
+		if (!_.isString(playlistId)) {
+			throw new Error('A playlistId string is required for updatePlaylist()');
+		}
+
+		if (!_.isPlainObject(playlist)) {
+			throw new Error('A playlist object is required for updatePlaylist()');
+		}
+
+		args = Object.assign({}, args, {
+			method: 'PATCH',
+			baseUrl: this.baseUrls.cms,
+			path: `/accounts/${accountId}/playlists/${playlistId}`,
+			contentType: Client.DEFAULT_CONTENT_TYPE,
+			body: playlist,
+			query: {}
+		});
+
+		return this.authorizedRequest(args);
+	}
+
+	// args.accountId *optional - Defaults to this.accountId
+	// args.playlistId *required
+	deletePlaylist(args) {
+		args = args || {};
+		const accountId = _.get(args, 'accountId', this.accountId);
+		const playlistId = args.playlistId;
+
+		if (!_.isString(accountId)) {
+			throw new Error('An accountId string is required for deletePlaylist()');
+		}
+
+		if (!_.isString(playlistId)) {
+			throw new Error('A playlistId string is required for deletePlaylist()');
+		}
+
+		args = Object.assign({}, args, {
+			method: 'DELETE',
+			baseUrl: this.baseUrls.cms,
+			path: `/accounts/${accountId}/playlists/${playlistId}`,
+			contentType: Client.DEFAULT_CONTENT_TYPE,
+			query: {}
+		});
+
+		return this.authorizedRequest(args);
+	}
+
+	// args.method *optional - Defaults to GET
+	// args.baseUrl *optional - Defaults to this.baseUrls.cms
+	// args.path *required
+	// args.authorization *required - Unless args.policyKey or args.apiKey is given
+	// args.policyKey *optional - Sent in place of an authorization header
+	// args.apiKey *optional - A Live API key, sent in place of an authorization header
+	// args.body *optional - Sent as JSON with POST, PUT, PATCH and DELETE
+	// args.idempotent *optional - Set to false for requests which must not be
+	// 														 retried after a 5xx or network error, such as creates
 	makeRequest(args) {
 		args = args || {};
 		const method = _.get(args, 'method', 'GET');
 		const path = args.path;
-		const baseUrl = _.get(args, 'baseUrl', Client.CMS_API_BASE_URL);
+		const baseUrl = _.get(args, 'baseUrl', this.baseUrls.cms);
 
 		const contentType = _.get(args, 'contentType', Client.DEFAULT_CONTENT_TYPE);
 		const authorization = args.authorization;
+		const policyKey = args.policyKey;
+		const apiKey = args.apiKey;
+
+		const idempotent = _.get(args, 'idempotent', true);
 
 		let body = '';
-		if (method === 'POST' && _.has(args, 'body')) {
-			body = Object.assign({}, args.body);
-			body = JSON.stringify(body);
+		if (_.includes(BODY_METHODS, method) && _.has(args, 'body')) {
+			body = JSON.stringify(args.body);
 		}
 
-		if (!_.isString(authorization)) {
-			throw new Error('An authorization string is required for makeRequest()');
+		if (!_.isString(authorization) && !_.isString(policyKey) && !_.isString(apiKey)) {
+			throw new Error('An authorization, policyKey or apiKey string is required for makeRequest()');
 		}
 
 		const headers = {
-			'authorization': authorization,
 			'content-type': contentType
 		};
+
+		if (_.isString(authorization)) {
+			headers.authorization = authorization;
+		} else if (_.isString(policyKey)) {
+			headers['bcov-policy'] = policyKey;
+		} else {
+			headers['x-api-key'] = apiKey;
+		}
 		const qs = Object.assign({}, args.query);
 		const url = `${baseUrl}${path}`;
 
-		return this._queue.push('request', {method, url, qs, headers, body});
+		return this.queueRequest({method, url, qs, headers, body}, 0, idempotent);
+	}
+
+	// Pushes a request onto the queue, retrying 429, 5xx and network errors
+	// with exponential backoff. The request is put back onto the queue for each
+	// retry so that waiting does not hold a concurrency slot. Requests which are
+	// not idempotent are only retried on 429, which Brightcove sends before
+	// doing any work.
+	queueRequest(params, attempt, idempotent) {
+		return this._queue.push('request', params).catch(err => {
+			const retryable = idempotent === false ? err.statusCode === 429 : Client.isRetryableError(err);
+
+			if (!retryable || attempt >= this.maxRetries) {
+				return Promise.reject(err);
+			}
+
+			const delay = this.getRetryDelay(err, attempt);
+			debug(`retrying ${params.method} ${params.url} in ${delay}ms (attempt ${attempt + 1} of ${this.maxRetries}) error: ${err.message}`);
+
+			return Promise.delay(delay).then(() => {
+				return this.queueRequest(params, attempt + 1, idempotent);
+			});
+		});
+	}
+
+	// Honors a Retry-After header when the error carries one, otherwise uses
+	// exponential backoff with jitter. Either way the delay is capped at
+	// this.maxRetryDelay.
+	getRetryDelay(err, attempt) {
+		if (_.isNumber(err.retryAfter) && err.retryAfter >= 0) {
+			return Math.min(err.retryAfter, this.maxRetryDelay);
+		}
+
+		const backoff = Math.min(this.maxRetryDelay, this.retryDelay * Math.pow(2, attempt));
+		return Math.round((backoff / 2) + (Math.random() * backoff / 2));
 	}
 
 	static get OAUTH_BASE_URL() {
@@ -488,6 +1216,33 @@ class Client {
 		return 'https://cms.api.brightcove.com/v1';
 	}
 
+	static get PLAYBACK_API_BASE_URL() {
+		return 'https://edge.api.brightcove.com/playback/v1';
+	}
+
+	static get INGEST_API_BASE_URL() {
+		return 'https://ingest.api.brightcove.com/v1';
+	}
+
+	static get LIVE_API_BASE_URL() {
+		return 'https://api.bcovlive.io/v1';
+	}
+
+	// Largest `limit` accepted by the CMS API list endpoints.
+	static get MAX_PAGE_SIZE() {
+		return MAX_PAGE_SIZE;
+	}
+
+	static get DEFAULT_BASE_URLS() {
+		return {
+			oauth: Client.OAUTH_BASE_URL,
+			cms: Client.CMS_API_BASE_URL,
+			playback: Client.PLAYBACK_API_BASE_URL,
+			ingest: Client.INGEST_API_BASE_URL,
+			live: Client.LIVE_API_BASE_URL
+		};
+	}
+
 	static get STATUS_CODE_20X_MATCHER() {
 		return /20\d/;
 	}
@@ -500,6 +1255,73 @@ class Client {
 		return 'application/json';
 	}
 
+	// Calls getPage({limit, offset}) for every page needed to cover count items
+	// and resolves with the concatenated results, in page order. The pages run
+	// through the request queue, so they respect the client's limits.
+	static getAllPages(count, pageSize, getPage) {
+		count = parseInt(count, 10) || 0;
+		pageSize = Math.min(parseInt(pageSize, 10) || MAX_PAGE_SIZE, MAX_PAGE_SIZE);
+
+		const offsets = _.range(0, count, pageSize);
+
+		return Promise.all(offsets.map(offset => {
+			return getPage({limit: pageSize, offset});
+		})).then(pages => {
+			return _.flatten(_.compact(pages));
+		});
+	}
+
+	// The sort for the getVideosByPlaylist() args, or null to keep the
+	// playlist order.
+	static videoSort(args) {
+		if (args.sort) {
+			return args.sort;
+		}
+
+		return args.sortByReleaseDate ? '-scheduled' : null;
+	}
+
+	static isRetryableError(err) {
+		return Boolean(err && err.retryable);
+	}
+
+	// Parses a Retry-After header, which is either a number of seconds or an
+	// HTTP date, into milliseconds. Returns null when the header is not usable.
+	static parseRetryAfter(header) {
+		if (!header) {
+			return null;
+		}
+
+		const seconds = Number(header);
+		if (!_.isNaN(seconds)) {
+			return Math.max(0, seconds * 1000);
+		}
+
+		const date = Date.parse(header);
+		if (!_.isNaN(date)) {
+			return Math.max(0, date - _.now());
+		}
+
+		return null;
+	}
+
+	static numberOption(value, defaultValue) {
+		const number = parseFloat(value);
+		return _.isNaN(number) || number < 0 ? defaultValue : number;
+	}
+
+	static livePlaybackUrls(job) {
+		return {
+			hls: job.playback_url || null,
+			dvr: job.playback_url_dvr || null,
+			vod: job.playback_url_vod || null
+		};
+	}
+
+	static accessTokenKey(clientId, clientSecret) {
+		return `${clientId}:${clientSecret}`;
+	}
+
 	static resolveIfScheduled(video) {
 		if (_.has(video, 'schedule') &&
 				!_.isNull(video.schedule) &&
@@ -524,52 +1346,82 @@ class Client {
 		return Promise.resolve(video);
 	}
 
-	static request(params) {
-		return new Promise((resolve, reject) => {
-			request(params, (err, res, body) => {
-				if (err) {
-					debug(`ERROR ${params.method} ${params.url} qs:${JSON.stringify(params.qs)} error: ${err}`);
-					return reject(err);
-				}
+	// params - {method, url, qs, headers, body}
+	// transport *optional - Defaults to lib/request-transport
+	static request(params, transport) {
+		transport = transport || requestTransport;
 
-				if (res.statusCode === 404) {
-					debug(`404 ${params.method} ${params.url} qs:${JSON.stringify(params.qs)}`);
-					return resolve(null);
+		return Promise.try(() => transport(params))
+			.catch(err => {
+				if (err instanceof BrightcoveError) {
+					return Promise.reject(err);
 				}
 
-				if (!Client.STATUS_CODE_20X_MATCHER.test(res.statusCode)) {
-					debug(`${res.statusCode} ${params.method} ${params.url} qs:${JSON.stringify(params.qs)} body: ${body}`);
-					return reject(new Error(`brightcove client unexpected status code ${res.statusCode}`));
-				} else if (res.statusCode === 204) {
-					return resolve({});
-				}
+				debug(`ERROR ${params.method} ${params.url} qs:${JSON.stringify(params.qs)} error: ${err}`);
+				return Promise.reject(new BrightcoveError(`brightcove client request error ${err.message}`, {
+					method: params.method,
+					url: params.url,
+					code: err.code
+				}));
+			})
+			.then(res => {
+				return Client.handleResponse(params, res);
+			});
+	}
 
-				const isJson = Client.CONTENT_TYPE_MATCHER.test(res.headers['content-type']);
-				if (isJson && _.isString(body)) {
-					try {
-						body = JSON.parse(body);
-					} catch (err) {
-						debug(`${res.statusCode} ${params.method} ${params.url} qs:${JSON.stringify(params.qs)} error: JSON parsing error message: ${err.message}`);
-						return reject(new Error(
-							`brightcove client JSON parsing error ${err.message}`
-						));
-					}
-				} else if (isJson) {
-					debug(`${res.statusCode} ${params.method} ${params.url} qs:${JSON.stringify(params.qs)} error: received empty JSON body`);
-					return reject(new Error(
-						`brightcove client received an empty JSON body`
-					));
-				} else {
-					debug(`${res.statusCode} ${params.method} ${params.url} qs:${JSON.stringify(params.qs)} error: expects content-type to be application/json`);
-					return reject(new Error(
-						`brightcove client expects content-type to be application/json`
-					));
-				}
+	// Resolves a transport response to the parsed JSON body, null for a 404, or
+	// rejects with a BrightcoveError.
+	//
+	// res - {statusCode, headers, body}
+	static handleResponse(params, res) {
+		const headers = res.headers || {};
+		let body = res.body;
+
+		if (res.statusCode === 404) {
+			debug(`404 ${params.method} ${params.url} qs:${JSON.stringify(params.qs)}`);
+			return Promise.resolve(null);
+		}
 
-				debug(`${res.statusCode} ${params.method} ${params.url} qs:${JSON.stringify(params.qs)}`);
-				return resolve(body);
-			});
-		});
+		if (!Client.STATUS_CODE_20X_MATCHER.test(res.statusCode)) {
+			debug(`${res.statusCode} ${params.method} ${params.url} qs:${JSON.stringify(params.qs)} body: ${_.isString(body) ? body : JSON.stringify(body)}`);
+			return Promise.reject(new BrightcoveError(`brightcove client unexpected status code ${res.statusCode}`, {
+				statusCode: res.statusCode,
+				method: params.method,
+				url: params.url,
+				body,
+				retryAfter: Client.parseRetryAfter(headers['retry-after'])
+			}));
+		} else if (res.statusCode === 204) {
+			return Promise.resolve({});
+		}
+
+		const isJson = Client.CONTENT_TYPE_MATCHER.test(headers['content-type']);
+		if (isJson && _.isString(body) && body.length) {
+			try {
+				body = JSON.parse(body);
+			} catch (err) {
+				debug(`${res.statusCode} ${params.method} ${params.url} qs:${JSON.stringify(params.qs)} error: JSON parsing error message: ${err.message}`);
+				return Promise.reject(new BrightcoveError(
+					`brightcove client JSON parsing error ${err.message}`,
+					{statusCode: res.statusCode, method: params.method, url: params.url}
+				));
+			}
+		} else if (isJson && (_.isNil(body) || _.isString(body))) {
+			debug(`${res.statusCode} ${params.method} ${params.url} qs:${JSON.stringify(params.qs)} error: received empty JSON body`);
+			return Promise.reject(new BrightcoveError(
+				`brightcove client received an empty JSON body`,
+				{statusCode: res.statusCode, method: params.method, url: params.url}
+			));
+		} else if (!isJson) {
+			debug(`${res.statusCode} ${params.method} ${params.url} qs:${JSON.stringify(params.qs)} error: expects content-type to be application/json`);
+			return Promise.reject(new BrightcoveError(
+				`brightcove client expects content-type to be application/json`,
+				{statusCode: res.statusCode, method: params.method, url: params.url}
+			));
+		}
+
+		debug(`${res.statusCode} ${params.method} ${params.url} qs:${JSON.stringify(params.qs)}`);
+		return Promise.resolve(body);
 	}
 
 }
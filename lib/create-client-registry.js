@@ -0,0 +1,125 @@
+'use strict';
+
+const _ = require('lodash');
+const debug = require('debug')('oddworks:provider:brightcove:client-registry');
+const Client = require('./client');
+
+// Client settings which per-account clients inherit from the default client.
+const INHERITED_OPTIONS = [
+	'bus',
+	'concurrentRequestLimit',
+	'requestsPerSecondLimit',
+	'maxRetries',
+	'retryDelay',
+	'maxRetryDelay',
+	'skipScheduleCheck',
+	'baseUrls',
+	'transport',
+	'sortComparators',
+	'requiredImages',
+	'eligibilityRules',
+	'namedEligibilityRules',
+	'fieldMap'
+];
+
+// Credentials which identify an account client, with its own request queue,
+// rate limits and access token cache.
+const CREDENTIALS = ['clientId', 'clientSecret', 'accountId'];
+
+// API keys which are sent with each request, so channels with different keys
+// for the same account share its client.
+const API_KEYS = ['policyKey', 'liveApiKey'];
+
+// Client methods which default to the policyKey or liveApiKey of the client,
+// and the API key each one sends.
+const API_KEY_METHODS = {
+	getPlaybackVideo: 'policyKey',
+	getPlaybackPlaylist: 'policyKey',
+	getLiveJobs: 'liveApiKey',
+	getLiveJob: 'liveApiKey',
+	getLivePlaybackUrls: 'liveApiKey'
+};
+
+// Registries are shared by every handler created with the same default client.
+const registries = new WeakMap();
+
+// Returns a view of an account client with other API keys. The view shares the
+// request queue and access token cache of the account client. Client methods
+// are bound to their instance, so the API key methods are wrapped to pass the
+// keys of the view.
+const createView = (client, keys) => {
+	const view = Object.create(client);
+	Object.assign(view, keys);
+
+	_.forEach(API_KEY_METHODS, (key, name) => {
+		view[name] = args => client[name](Object.assign(_.pick(keys, key), args));
+	});
+
+	return view;
+};
+
+// Returns a function which resolves the Client to use for a channel.
+//
+// Channels may override the provider credentials with channel.secrets.brightcove.
+// Each distinct accountId/clientId gets a Client of its own, created on first
+// use, so that every account has its own request queue, rate limits and access
+// token cache. Channels without overrides share the default client. Channels
+// which only override the policyKey or liveApiKey get a view of the client for
+// their account, so the account limits are not split between clients.
+module.exports = client => {
+	if (registries.has(client)) {
+		return registries.get(client);
+	}
+
+	// entries of {client, views} keyed by accountId:clientId
+	const accounts = Object.create(null);
+	const defaultAccount = {client, views: Object.create(null)};
+
+	const getAccount = creds => {
+		if (CREDENTIALS.every(name => creds[name] === client[name])) {
+			return defaultAccount;
+		}
+
+		const key = `${creds.accountId}:${creds.clientId}`;
+		const existing = accounts[key];
+
+		// a changed secret replaces the Client
+		if (existing && CREDENTIALS.every(name => creds[name] === existing.client[name])) {
+			return existing;
+		}
+
+		debug(`creating client for account "${creds.accountId}" clientId "${creds.clientId}"`);
+		const options = Object.assign(_.pick(client, INHERITED_OPTIONS), creds, _.pick(client, API_KEYS));
+		accounts[key] = {client: new Client(options), views: Object.create(null)};
+		return accounts[key];
+	};
+
+	const getClient = channel => {
+		const secrets = _.get(channel, 'secrets.brightcove') || {};
+		const pick = names => {
+			const values = {};
+			names.forEach(name => {
+				values[name] = _.has(secrets, name) ? secrets[name] : client[name];
+			});
+			return values;
+		};
+
+		const account = getAccount(pick(CREDENTIALS));
+		const keys = pick(API_KEYS);
+
+		if (API_KEYS.every(name => keys[name] === account.client[name])) {
+			return account.client;
+		}
+
+		const viewKey = API_KEYS.map(name => keys[name]).join(':');
+
+		if (!account.views[viewKey]) {
+			account.views[viewKey] = createView(account.client, keys);
+		}
+
+		return account.views[viewKey];
+	};
+
+	registries.set(client, getClient);
+	return getClient;
+};
@@ -1,10 +1,46 @@
 'use strict';
 
-module.exports = (spec, playlist) => {
+const _ = require('lodash');
+const formatVideoImages = require('./format-video-images');
+const sortVideos = require('./sort-videos');
+
+// A line like "artwork: tag:featured" in the playlist description overrides
+// the artwork rule of the spec. The line is left out of the description.
+const ARTWORK_MATCHER = /^\s*artwork:\s*(\S+)\s*$/im;
+
+// Each rule returns the video to take the collection artwork from. The videos
+// are in collection order.
+const RULES = {
+	first: videos => _.first(videos),
+	latest: videos => _.first(sortVideos(videos, '-scheduled')),
+	tag: (videos, tag) => _.find(videos, video => _.includes(video.tags, tag)),
+	video: (videos, id) => _.find(videos, {id})
+};
+
+// Finds the video for a rule like "first", "latest", "tag:featured" or
+// "video:1234". Rules without a match fall back to the first video.
+const findArtworkVideo = (videos, rule) => {
+	const index = rule.indexOf(':');
+	const name = index === -1 ? rule : rule.slice(0, index);
+	const value = index === -1 ? null : rule.slice(index + 1);
+	const find = RULES[name] || RULES.first;
+
+	return find(videos, value) || RULES.first(videos);
+};
+
+// spec.artwork *optional - The artwork rule. Defaults to "first"
+// videos *optional - The playlist videos, in the CMS API format
+// channel *optional - The channel the playlist is fetched for
+module.exports = (spec, playlist, videos, channel) => {
+	const description = playlist.description || '';
+	const override = ARTWORK_MATCHER.exec(description);
+	const rule = override ? override[1] : (spec.artwork || 'first');
+	const video = findArtworkVideo(videos || [], rule);
+
 	return {
 		id: `res-brightcove-playlist-${playlist.id}`,
 		title: playlist.name,
-		description: playlist.description,
-		images: []
+		description: override ? description.replace(ARTWORK_MATCHER, '').trim() : playlist.description,
+		images: video ? formatVideoImages(video, channel) : []
 	};
 };
@@ -0,0 +1,11 @@
+'use strict';
+
+// Brightcove folders only have a name, so the description is left empty.
+module.exports = (spec, folder) => {
+	return {
+		id: `res-brightcove-folder-${folder.id}`,
+		title: folder.name,
+		description: '',
+		images: []
+	};
+};
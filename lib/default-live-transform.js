@@ -0,0 +1,72 @@
+'use strict';
+
+const _ = require('lodash');
+
+const HTTPS_MATCHER = /^https/;
+
+// Live API times are epoch milliseconds or ISO 8601 strings
+const parseTime = value => {
+	const time = _.isNumber(value) ? value : Date.parse(value);
+	return _.isFinite(time) ? time : null;
+};
+
+const formatTime = time => {
+	return _.isNull(time) ? null : new Date(time).toISOString();
+};
+
+// The playback_url of a job is its HLS stream, and playback_url_dvr the same
+// stream with a DVR window.
+const formatSources = job => {
+	return [
+		{url: job.playback_url, label: 'hls'},
+		{url: job.playback_url_dvr, label: 'hls-dvr'}
+	]
+		.filter(source => {
+			return _.isString(source.url) && HTTPS_MATCHER.test(source.url);
+		})
+		.map(source => {
+			return {
+				url: source.url,
+				container: 'M2TS',
+				mimeType: 'application/x-mpegURL',
+				width: 0,
+				height: 0,
+				maxBitrate: 0,
+				label: source.label,
+				encrypted: false,
+				keySystems: []
+			};
+		});
+};
+
+// Live jobs have no description and may have no name, so the title and
+// description come from spec.live. Scheduled events have schedule.start_time and end_time.
+// Other jobs start when they are created, and end event_length seconds later.
+//
+// spec.live.title *optional
+// spec.live.description *optional
+module.exports = (spec, job) => {
+	const live = spec.live || {};
+	const schedule = job.schedule || {};
+
+	const startsAt = parseTime(schedule.start_time) || parseTime(job.created_at);
+	let endsAt = parseTime(schedule.end_time);
+
+	if (!endsAt && startsAt && job.event_length > 0) {
+		endsAt = startsAt + (job.event_length * 1000);
+	}
+
+	return {
+		id: `res-brightcove-live-${job.id}`,
+		title: live.title || job.name || '',
+		description: live.description || '',
+		images: [],
+		sources: formatSources(job),
+		duration: 0,
+		releaseDate: formatTime(startsAt),
+		live: true,
+		state: job.state || null,
+		startsAt: formatTime(startsAt),
+		endsAt: formatTime(endsAt)
+	};
+};
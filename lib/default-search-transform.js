@@ -0,0 +1,10 @@
+'use strict';
+
+module.exports = (spec, search) => {
+	return {
+		id: `res-brightcove-search-${search.id}`,
+		title: search.title || '',
+		description: search.description || '',
+		images: []
+	};
+};
@@ -0,0 +1,20 @@
+'use strict';
+
+// Called with a null season for the series collection itself.
+module.exports = (spec, series, season) => {
+	if (season) {
+		return {
+			id: `res-brightcove-series-${series.id}-season-${season.number}`,
+			title: `${series.name} Season ${season.number}`,
+			description: '',
+			images: []
+		};
+	}
+
+	return {
+		id: `res-brightcove-series-${series.id}`,
+		title: series.name,
+		description: '',
+		images: []
+	};
+};
@@ -1,47 +1,49 @@
 'use strict';
 
+const _ = require('lodash');
+const buildVmap = require('./build-vmap');
+const formatVideoImages = require('./format-video-images');
+const selectSources = require('./select-sources');
+
 const HTTPS_MATCHER = /^https/;
 const MP4_MATCHER = /MP4/i;
 const TYPE_MATCHER = /application\/x-mpegURL/;
+const DASH_MATCHER = /application\/dash\+xml/;
 
-const formatImages = video => {
-	const images = [];
+// Older text tracks may not include a mime_type
+const TEXT_TRACK_MIME_TYPES = {
+	vtt: 'text/vtt',
+	dfxp: 'application/ttml+xml',
+	ttml: 'application/ttml+xml',
+	xml: 'application/ttml+xml',
+	srt: 'application/x-subrip'
+};
 
-	const videoImages = {
-		poster: video.images.poster || [],
-		thumbnail: video.images.thumbnail || []
-	};
+// Channels choose the sources they can play with
+// channel.features.brightcove.sourceEncryption: 'clear', 'encrypted' or 'both'
+const SOURCE_ENCRYPTION = ['clear', 'encrypted', 'both'];
 
-	(videoImages.poster.sources || [])
-		.filter(image => {
-			return HTTPS_MATCHER.test(image.src);
-		})
-		.forEach(image => {
-			images.push({
-				url: image.src,
-				height: image.height,
-				width: image.width,
-				label: `poster-${image.width}x${image.height}`
-			});
-		});
+// Brightcove key_systems, keyed by key system name, like:
+// {"com.widevine.alpha": {"license_url": "..."}}
+// FairPlay uses key_request_url for the license URL.
+const formatKeySystems = source => {
+	const keySystems = source.key_systems || {};
 
-	(videoImages.thumbnail.sources || [])
-		.filter(image => {
-			return HTTPS_MATCHER.test(image.src);
-		})
-		.forEach(image => {
-			images.push({
-				url: image.src,
-				height: image.height,
-				width: image.width,
-				label: `thumbnail-${image.width}x${image.height}`
-			});
-		});
+	return Object.keys(keySystems).map(name => {
+		const keySystem = keySystems[name] || {};
 
-	return images;
+		return {
+			name,
+			licenseUrl: keySystem.license_url || keySystem.key_request_url || null,
+			certificateUrl: keySystem.certificate_url || null
+		};
+	});
 };
 
-const formatSources = sources => {
+const formatSources = (sources, channel) => {
+	const setting = _.get(channel, 'features.brightcove.sourceEncryption');
+	const encryption = _.includes(SOURCE_ENCRYPTION, setting) ? setting : 'both';
+
 	const getMimeType = source => {
 		if (source.type) {
 			return source.type;
@@ -52,11 +54,13 @@ const formatSources = sources => {
 		return '';
 	};
 
-	const getLabel = (source, index) => {
+	const getLabel = (source, index, encrypted) => {
 		if (MP4_MATCHER.test(source.container)) {
 			return `mp4-${source.width}x${source.height}`;
 		} else if (TYPE_MATCHER.test(source.type)) {
-			return 'hls';
+			return encrypted ? 'hls-drm' : 'hls';
+		} else if (DASH_MATCHER.test(source.type)) {
+			return encrypted ? 'dash-drm' : 'dash';
 		}
 
 		return source.asset_id || index;
@@ -66,9 +70,18 @@ const formatSources = sources => {
 		.filter(source => {
 			return typeof source.src !== 'undefined' && HTTPS_MATCHER.test(source.src);
 		})
-		.map((source, index) => {
+		.map(source => {
+			return {source, keySystems: formatKeySystems(source)};
+		})
+		.filter(item => {
+			const encrypted = item.keySystems.length > 0;
+			return encryption === 'both' || encrypted === (encryption === 'encrypted');
+		})
+		.map((item, index) => {
+			const source = item.source;
+			const encrypted = item.keySystems.length > 0;
 			const mimeType = getMimeType(source);
-			const label = getLabel(source, index);
+			const label = getLabel(source, index, encrypted);
 			return {
 				url: source.src,
 				container: source.container,
@@ -76,19 +89,140 @@ const formatSources = sources => {
 				width: source.width || 0,
 				height: source.height || 0,
 				maxBitrate: source.encoding_rate || 0,
-				label: label
+				label: label,
+				encrypted,
+				keySystems: item.keySystems
+			};
+		});
+};
+
+// CMS and Playback API text tracks have a src and a list of sources with the
+// same file on other protocols. Older tracks may only have a url, and use
+// srcLang or language for the language.
+const formatTextTracks = video => {
+	const getUrl = track => {
+		const urls = [track.src || track.url]
+			.concat((track.sources || []).map(source => source.src));
+
+		return urls.find(url => typeof url === 'string' && HTTPS_MATCHER.test(url));
+	};
+
+	const getMimeType = (track, url) => {
+		if (track.mime_type) {
+			return track.mime_type;
+		}
+
+		const extension = url.split('?')[0].split('.').pop().toLowerCase();
+		return TEXT_TRACK_MIME_TYPES[extension] || '';
+	};
+
+	return (video.text_tracks || [])
+		.map(track => {
+			return {track, url: getUrl(track)};
+		})
+		.filter(item => {
+			return Boolean(item.url);
+		})
+		.map(item => {
+			const track = item.track;
+			const srclang = track.srclang || track.srcLang || track.language || '';
+
+			return {
+				url: item.url,
+				srclang,
+				label: track.label || srclang,
+				kind: track.kind || 'captions',
+				mimeType: getMimeType(track, item.url),
+				default: Boolean(track.default)
 			};
 		});
 };
 
-module.exports = (spec, video, sources) => {
+// Brightcove cue point times are in seconds, and video durations in
+// milliseconds. Cue points outside of the video are left out.
+const formatCuePoints = video => {
+	const duration = (video.duration || 0) / 1000;
+
+	return _.sortBy((video.cue_points || [])
+		.filter(cuePoint => {
+			return _.isFinite(cuePoint.time) && cuePoint.time >= 0 && (!duration || cuePoint.time <= duration);
+		})
+		.map(cuePoint => {
+			return {
+				id: cuePoint.id || null,
+				name: cuePoint.name || '',
+				type: cuePoint.type || 'CODE',
+				time: cuePoint.time,
+				metadata: cuePoint.metadata || null,
+				forceStop: Boolean(cuePoint.force_stop)
+			};
+		}), 'time');
+};
+
+// AD cue points mark the ad breaks. Breaks at the very start or end of the
+// video are pre-rolls and post-rolls.
+const formatAdBreaks = (video, cuePoints) => {
+	const duration = (video.duration || 0) / 1000;
+
+	const getPosition = time => {
+		if (time === 0) {
+			return 'preroll';
+		} else if (duration && time >= duration) {
+			return 'postroll';
+		}
+
+		return 'midroll';
+	};
+
+	return cuePoints
+		.filter(cuePoint => {
+			return cuePoint.type === 'AD';
+		})
+		.map(cuePoint => {
+			return {
+				time: cuePoint.time,
+				position: getPosition(cuePoint.time),
+				name: cuePoint.name,
+				metadata: cuePoint.metadata
+			};
+		});
+};
+
+const formatGeo = video => {
+	const geo = video.geo || {};
+
 	return {
+		restricted: Boolean(geo.restricted),
+		countries: geo.countries || [],
+		excludeCountries: Boolean(geo.exclude_countries)
+	};
+};
+
+// channel *optional - The channel the video is fetched for
+module.exports = (spec, video, sources, channel) => {
+	const cuePoints = formatCuePoints(video);
+	const adBreaks = formatAdBreaks(video, cuePoints);
+
+	// channel.features.brightcove.vastTagTemplate enables VMAP documents
+	const vastTagTemplate = _.get(channel, 'features.brightcove.vastTagTemplate');
+
+	const resource = {
 		id: `res-brightcove-video-${video.id}`,
 		title: video.name || '',
 		description: video.long_description || video.description || '',
-		images: formatImages(video),
-		sources: formatSources(sources),
+		images: formatVideoImages(video, channel),
+		sources: selectSources(formatSources(sources, channel), channel),
+		textTracks: formatTextTracks(video),
 		duration: video.duration || 0,
-		releaseDate: video.published_at || null
+		releaseDate: video.published_at || null,
+		geo: formatGeo(video),
+		cuePoints,
+		adBreaks
 	};
+
+	if (vastTagTemplate && adBreaks.length) {
+		resource.vmap = buildVmap(video, adBreaks, vastTagTemplate);
+	}
+
+	return resource;
 };
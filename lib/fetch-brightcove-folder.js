@@ -0,0 +1,81 @@
+'use strict';
+
+const Promise = require('bluebird');
+const _ = require('lodash');
+const debug = require('debug')('oddworks:provider:brightcove:fetch-brightcove-folder');
+const BrightcoveError = require('./brightcove-error');
+const filterEligibleVideos = require('./filter-eligible-videos');
+const setVideoSpecs = require('./set-video-specs');
+const sortVideos = require('./sort-videos');
+
+module.exports = (bus, getClient, transform) => {
+	return args => {
+		const channel = args.channel;
+		const spec = args.spec;
+		const viewer = args.viewer;
+		let collection = args.collection;
+		const folderId = args.folderId;
+		const skipScheduleCheck = Boolean(_.get(spec, 'skipScheduleCheck'));
+
+		// resolve the client for the channel account, which may be overridden
+		// by channel.secrets.brightcove
+		const client = getClient(channel);
+
+		debug(`fetchBrightcoveFolder id: ${folderId}`);
+
+		// folders are only available from the CMS API, even with a policy key
+		return client.getFolder({folderId})
+			.then(folder => {
+				if (folder) {
+					collection = Object.assign({}, collection, transform(spec, folder));
+
+					return client.getAllVideosByFolder({
+						folderId,
+						videoCount: folder.video_count,
+						skipScheduleCheck
+					});
+				}
+
+				const error = new Error(`Folder not found for id "${folderId}"`);
+				error.code = 'FOLDER_NOT_FOUND';
+
+				// report the FOLDER_NOT_FOUND error
+				bus.broadcast({level: 'error'}, {
+					spec,
+					error,
+					code: error.code,
+					message: 'folder not found'
+				});
+
+				// Return a rejection to short circuit the rest of the operation
+				return Promise.reject(error);
+			})
+			.then(videos => {
+				// leave out inactive, incomplete and unplayable videos
+				videos = filterEligibleVideos({bus, client, channel, spec, viewer, videos});
+
+				if (!_.isEmpty(videos)) {
+					return setVideoSpecs(bus, channel, sortVideos(videos, spec.sort, client.sortComparators));
+				}
+
+				return [];
+			})
+			.then(data => {
+				collection.relationships = collection.relationships || {};
+				collection.relationships.entities = {data};
+
+				return collection;
+			})
+			.catch(BrightcoveError, error => {
+				// report Brightcove API errors with the error_code from the response
+				bus.broadcast({level: 'error'}, {
+					spec,
+					error,
+					code: error.code,
+					message: error.message
+				});
+
+				return Promise.reject(error);
+			});
+	};
+};
@@ -0,0 +1,70 @@
+'use strict';
+
+const Promise = require('bluebird');
+const _ = require('lodash');
+const debug = require('debug')('oddworks:provider:brightcove:fetch-brightcove-live');
+const BrightcoveError = require('./brightcove-error');
+
+// Live job states after which the stream can no longer be played
+const ENDED_STATES = ['finishing', 'finished', 'cancelling', 'cancelled', 'failed'];
+
+module.exports = (bus, getClient, transform) => {
+	return args => {
+		const channel = args.channel;
+		const spec = args.spec;
+		const jobId = args.jobId;
+
+		// resolve the client for the channel account, which may be overridden
+		// by channel.secrets.brightcove
+		const client = getClient(channel);
+
+		debug(`fetchBrightcoveLive id: ${jobId}`);
+
+		// live jobs are only available from the Live API
+		return Promise.try(() => client.getLiveJob({jobId}))
+			.then(job => {
+				if (!job) {
+					const error = new Error(`Live job not found for id "${jobId}"`);
+					error.code = 'LIVE_JOB_NOT_FOUND';
+
+					// report the LIVE_JOB_NOT_FOUND error
+					bus.broadcast({level: 'error'}, {
+						spec,
+						error,
+						code: error.code,
+						message: 'live job not found'
+					});
+
+					return Promise.reject(error);
+				}
+
+				if (_.includes(ENDED_STATES, job.state)) {
+					const error = new Error(`Live job "${jobId}" has ended`);
+					error.code = 'LIVE_JOB_ENDED';
+
+					// report an ended job as unavailable
+					bus.broadcast({level: 'error'}, {
+						spec,
+						error,
+						code: error.code,
+						message: 'live job ended'
+					});
+
+					return Promise.reject(error);
+				}
+
+				return transform(spec, job, channel);
+			})
+			.catch(BrightcoveError, error => {
+				// report Brightcove API errors with the error_code from the response
+				bus.broadcast({level: 'error'}, {
+					spec,
+					error,
+					code: error.code,
+					message: error.message
+				});
+
+				return Promise.reject(error);
+			});
+	};
+};
@@ -3,40 +3,52 @@
 const Promise = require('bluebird');
 const _ = require('lodash');
 const debug = require('debug')('oddworks:provider:brightcove:fetch-brightcove-playlist');
-
-module.exports = (bus, client, transform) => {
+const BrightcoveError = require('./brightcove-error');
+const applyFieldMap = require('./apply-field-map');
+const filterEligibleVideos = require('./filter-eligible-videos');
+const normalizePlaybackVideo = require('./normalize-playback-video');
+const setVideoSpecs = require('./set-video-specs');
+const sortVideos = require('./sort-videos');
+
+module.exports = (bus, getClient, transform) => {
 	return args => {
 		const channel = args.channel;
-		const secrets = channel.secrets || {};
 		const spec = args.spec;
+		const viewer = args.viewer;
+		const locale = args.locale;
 		let collection = args.collection;
 		const playlistId = args.playlistId;
 		const skipScheduleCheck = Boolean(_.get(args, 'skipScheduleCheck'));
 
-		// allow override of existing provider creds when secrets change
-		const creds = Object.create(null);
-		if (_.has(secrets, 'brightcove.clientId')) {
-			creds.clientId = secrets.brightcove.clientId;
-		}
-
-		if (_.has(secrets, 'brightcove.clientSecret')) {
-			creds.clientSecret = secrets.brightcove.clientSecret;
-		}
+		// resolve the client for the channel account, which may be overridden
+		// by channel.secrets.brightcove
+		const client = getClient(channel);
 
-		if (_.has(secrets, 'brightcove.accountId')) {
-			creds.accountId = secrets.brightcove.accountId;
-		}
+		// use the Playback API when a policy key is available
+		const policyKey = client.policyKey;
 
 		debug(`fetchBrightcovePlaylist id: ${playlistId}`);
 
-		const params = Object.assign({playlistId}, creds);
-		return client.getPlaylist(params)
+		const params = {playlistId};
+
+		// the Playback API responds with the videos included in the playlist
+		const getPlaylist = policyKey ?
+			client.getPlaybackPlaylist(params) :
+			client.getPlaylist(params);
+
+		return getPlaylist
 			.then(playlist => {
 				if (playlist) {
-					collection = Object.assign({}, collection, transform(spec, playlist));
+					const getVideos = policyKey ?
+						Promise.resolve(playlist.videos || []) :
+						client.getVideosByPlaylist({playlistId, skipScheduleCheck});
 
-					return client.getVideosByPlaylist(Object.assign({playlistId, skipScheduleCheck}, creds));
-					// NOTE We may need to filter out unfinished videos using `video.state === 'ACTIVE' && video.complete === true`
+					return getVideos.then(videos => {
+						// leave out inactive, incomplete and unplayable videos
+						videos = filterEligibleVideos({bus, client, channel, spec, viewer, videos, playback: Boolean(policyKey)});
+
+						return {playlist, videos: sortVideos(videos, spec.sort, client.sortComparators)};
+					});
 				}
 
 				const error = new Error(`Playlist not found for id "${playlistId}"`);
@@ -53,61 +65,38 @@ module.exports = (bus, client, transform) => {
 				// Return a rejection to short circuit the rest of the operation
 				return Promise.reject(error);
 			})
-			.then(videos => {
-				if (!_.isEmpty(videos)) {
-					return Promise.all(
-						videos
-							.sort((a, b) => {
-								let aDate = new Date(a.published_at);
-								let bDate = new Date(b.published_at);
-
-								if (_.has(a, 'schedule') &&	!_.isNull(a.schedule) && !_.isUndefined(a.schedule)) {
-									const startsAt = _.get(a, 'schedule.starts_at');
-									if (!_.isNaN(Date.parse(startsAt))) {
-										aDate = new Date(startsAt);
-									}
-								}
-
-								if (_.has(b, 'schedule') &&	!_.isNull(b.schedule) && !_.isUndefined(b.schedule)) {
-									const startsAt = _.get(b, 'schedule.starts_at');
-									if (!_.isNaN(Date.parse(startsAt))) {
-										bDate = new Date(startsAt);
-									}
-								}
-								// sort newest to oldest
-								return bDate - aDate;
-							}).map(video => {
-								const spec = {
-									channel: channel.id,
-									type: 'videoSpec',
-									source: 'brightcove-video',
-									video
-								};
-
-								if (video.id) {
-									spec.id = `spec-brightcove-video-${video.id}`;
-								}
-
-								return bus.sendCommand({role: 'catalog', cmd: 'setItemSpec'}, spec);
-							})
-					);
-				}
+			.then(res => {
+				// the collection transform gets the videos in the CMS API format
+				const videos = policyKey ?
+					res.videos.map(video => normalizePlaybackVideo(video).video) :
+					res.videos;
+
+				collection = applyFieldMap({
+					resource: Object.assign({}, collection, transform(spec, res.playlist, videos, channel)),
+					source: res.playlist,
+					kind: 'collection',
+					client,
+					channel
+				});
 
-				return [];
+				return setVideoSpecs(bus, channel, res.videos, locale);
 			})
-			.then(specs => {
+			.then(data => {
 				collection.relationships = collection.relationships || {};
-
-				collection.relationships.entities = {
-					data: specs.map(spec => {
-						return {
-							id: spec.resource,
-							type: spec.type.replace(/Spec$/, '')
-						};
-					})
-				};
+				collection.relationships.entities = {data};
 
 				return collection;
+			})
+			.catch(BrightcoveError, error => {
+				// report Brightcove API errors with the error_code from the response
+				bus.broadcast({level: 'error'}, {
+					spec,
+					error,
+					code: error.code,
+					message: error.message
+				});
+
+				return Promise.reject(error);
 			});
 	};
 };
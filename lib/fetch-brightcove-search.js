@@ -0,0 +1,66 @@
+'use strict';
+
+const Promise = require('bluebird');
+const _ = require('lodash');
+const debug = require('debug')('oddworks:provider:brightcove:fetch-brightcove-search');
+const BrightcoveError = require('./brightcove-error');
+const Client = require('./client');
+const filterEligibleVideos = require('./filter-eligible-videos');
+const setVideoSpecs = require('./set-video-specs');
+
+module.exports = (bus, getClient, transform) => {
+	return args => {
+		const channel = args.channel;
+		const spec = args.spec;
+		const viewer = args.viewer;
+		const search = args.search;
+		const limit = parseInt(search.limit, 10) || null;
+		const skipScheduleCheck = Boolean(_.get(spec, 'skipScheduleCheck'));
+
+		// resolve the client for the channel account, which may be overridden
+		// by channel.secrets.brightcove
+		const client = getClient(channel);
+
+		debug(`fetchBrightcoveSearch q: ${search.q} sort: ${search.sort} limit: ${limit}`);
+
+		const query = {q: search.q};
+		if (search.sort) {
+			query.sort = search.sort;
+		}
+
+		let getVideos;
+		if (limit && limit <= Client.MAX_PAGE_SIZE) {
+			getVideos = client.getVideos({skipScheduleCheck, query: Object.assign({limit}, query)});
+		} else {
+			// only page through as many results as the limit needs
+			getVideos = client.getAllVideos({skipScheduleCheck, query, maxCount: limit}).then(videos => {
+				return limit ? _.take(videos, limit) : videos;
+			});
+		}
+
+		const collection = transform(spec, search);
+
+		return getVideos
+			.then(videos => {
+				// leave out inactive, incomplete and unplayable videos
+				return setVideoSpecs(bus, channel, filterEligibleVideos({bus, client, channel, spec, viewer, videos}));
+			})
+			.then(data => {
+				collection.relationships = collection.relationships || {};
+				collection.relationships.entities = {data};
+
+				return collection;
+			})
+			.catch(BrightcoveError, error => {
+				// report Brightcove API errors with the error_code from the response
+				bus.broadcast({level: 'error'}, {
+					spec,
+					error,
+					code: error.code,
+					message: error.message
+				});
+
+				return Promise.reject(error);
+			});
+	};
+};
@@ -0,0 +1,118 @@
+'use strict';
+
+const Promise = require('bluebird');
+const _ = require('lodash');
+const debug = require('debug')('oddworks:provider:brightcove:fetch-brightcove-series');
+const BrightcoveError = require('./brightcove-error');
+const filterEligibleVideos = require('./filter-eligible-videos');
+const searchTerm = require('./search-term');
+const setVideoSpecs = require('./set-video-specs');
+
+// The custom field values are Strings, so episode and season numbers are
+// parsed. Videos without a valid season number are left out of the series.
+function getNumber(video, field) {
+	const number = parseInt(_.get(video, ['custom_fields', field]), 10);
+	return _.isNaN(number) ? null : number;
+}
+
+// Orders episodes by episode number. Episodes without one go last, by name.
+function sortEpisodes(videos, field) {
+	return _.sortBy(videos, [
+		video => {
+			const number = getNumber(video, field);
+			return _.isNull(number) ? Infinity : number;
+		},
+		'name'
+	]);
+}
+
+module.exports = (bus, getClient, transform) => {
+	return args => {
+		const channel = args.channel;
+		const spec = args.spec;
+		const viewer = args.viewer;
+		const series = args.series;
+		const season = args.season || null;
+		const fields = series.fields;
+		const skipScheduleCheck = Boolean(_.get(spec, 'skipScheduleCheck'));
+
+		// resolve the client for the channel account, which may be overridden
+		// by channel.secrets.brightcove
+		const client = getClient(channel);
+
+		// every video must match the series and season
+		const terms = [searchTerm(fields.series, series.name, true)];
+		if (season) {
+			terms.push(searchTerm(fields.season, season.number, true));
+		}
+
+		debug(`fetchBrightcoveSeries id: ${series.id} season: ${season ? season.number : 'all'}`);
+
+		const collection = transform(spec, series, season);
+
+		return client.getAllVideos({skipScheduleCheck, query: {q: terms.join(' ')}})
+			.then(videos => {
+				// leave out inactive, incomplete and unplayable videos
+				videos = filterEligibleVideos({bus, client, channel, spec, viewer, videos});
+
+				// search terms match words, so check for the exact custom field values
+				const episodes = _.filter(videos, video => {
+					return _.get(video, ['custom_fields', fields.series]) === series.name &&
+						!_.isNull(getNumber(video, fields.season));
+				});
+
+				if (season) {
+					return setVideoSpecs(bus, channel, sortEpisodes(_.filter(episodes, video => {
+						return getNumber(video, fields.season) === season.number;
+					}), fields.episode));
+				}
+
+				const seasons = _.groupBy(episodes, video => getNumber(video, fields.season));
+				const numbers = _.sortBy(Object.keys(seasons).map(Number));
+
+				// register a collectionSpec for each season, and a videoSpec for
+				// each of its episodes, so the whole show is in the catalog
+				return Promise.all(numbers.map(number => {
+					const seasonSpec = {
+						channel: channel.id,
+						type: 'collectionSpec',
+						source: 'brightcove-series',
+						id: `spec-brightcove-series-${series.id}-season-${number}`,
+						series,
+						season: {number}
+					};
+
+					if (_.has(spec, 'skipScheduleCheck')) {
+						seasonSpec.skipScheduleCheck = spec.skipScheduleCheck;
+					}
+
+					return Promise.all([
+						bus.sendCommand({role: 'catalog', cmd: 'setItemSpec'}, seasonSpec),
+						setVideoSpecs(bus, channel, sortEpisodes(seasons[number], fields.episode))
+					]).then(results => {
+						return {
+							id: results[0].resource,
+							type: results[0].type.replace(/Spec$/, '')
+						};
+					});
+				}));
+			})
+			.then(data => {
+				collection.relationships = collection.relationships || {};
+				collection.relationships.entities = {data};
+
+				return collection;
+			})
+			.catch(BrightcoveError, error => {
+				// report Brightcove API errors with the error_code from the response
+				bus.broadcast({level: 'error'}, {
+					spec,
+					error,
+					code: error.code,
+					message: error.message
+				});
+
+				return Promise.reject(error);
+			});
+	};
+};
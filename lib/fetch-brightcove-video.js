@@ -3,40 +3,146 @@
 const Promise = require('bluebird');
 const _ = require('lodash');
 const debug = require('debug')('oddworks:provider:brightcove:fetch-brightcove-video');
+const BrightcoveError = require('./brightcove-error');
+const applyFieldMap = require('./apply-field-map');
+const checkVideoEligibility = require('./check-video-eligibility');
+const fetchRelatedVideos = require('./fetch-related-videos');
+const getEligibilityOptions = require('./get-eligibility-options');
+const isGeoAllowed = require('./is-geo-allowed');
+const localizeVideo = require('./localize-video');
+const normalizePlaybackVideo = require('./normalize-playback-video');
 
-module.exports = (bus, client, transform) => {
+module.exports = (bus, getClient, transform) => {
 	return args => {
 		const channel = args.channel;
-		const secrets = channel.secrets || {};
 		const spec = args.spec;
 		const videoId = args.videoId;
+		const country = _.get(args, 'viewer.country');
+		const locale = args.locale;
 		const skipScheduleCheck = Boolean(_.get(spec, 'skipScheduleCheck'));
 
-		// allow override of existing provider creds when secrets change
-		const creds = Object.create(null);
-		if (_.has(secrets, 'brightcove.clientId')) {
-			creds.clientId = secrets.brightcove.clientId;
-		}
+		// resolve the client for the channel account, which may be overridden
+		// by channel.secrets.brightcove
+		const client = getClient(channel);
 
-		if (_.has(secrets, 'brightcove.clientSecret')) {
-			creds.clientSecret = secrets.brightcove.clientSecret;
-		}
-
-		if (_.has(secrets, 'brightcove.accountId')) {
-			creds.accountId = secrets.brightcove.accountId;
-		}
+		// use the Playback API when a policy key is available
+		const policyKey = client.policyKey;
 
 		debug(`fetchBrightcoveVideo id: ${videoId}`);
 
-		const params = Object.assign({videoId, skipScheduleCheck}, creds);
-		return client.getVideo(params)
-			.then(video => {
+		const params = {videoId, skipScheduleCheck};
+
+		let getVideo;
+		if (policyKey) {
+			// the Playback API responds with the sources included in the video
+			getVideo = client.getPlaybackVideo(params).then(video => {
+				return video ? normalizePlaybackVideo(video) : null;
+			});
+		} else {
+			getVideo = client.getVideo(params).then(video => {
 				if (video) {
 					return Promise.join(video, client.getVideoSources(params), (video, sources) => {
-						return transform(spec, video, sources);
+						return {video, sources};
 					});
 				}
 
+				return null;
+			});
+		}
+
+		return getVideo
+			.then(res => {
+				if (!res) {
+					return null;
+				}
+
+				// channel.features.brightcove may override the client rules
+				const options = getEligibilityOptions(client, channel);
+
+				const code = checkVideoEligibility({
+					video: res.video,
+					sources: res.sources,
+					channel,
+					requiredImages: options.requiredImages,
+					rules: options.rules
+				});
+
+				if (code) {
+					const error = new Error(`Video "${videoId}" is not eligible: ${code}`);
+					error.code = code;
+
+					// report the reason the video was excluded
+					bus.broadcast({level: 'error'}, {
+						spec,
+						error,
+						code: error.code,
+						message: 'video not eligible'
+					});
+
+					return Promise.reject(error);
+				}
+
+				return res;
+			})
+			.then(res => {
+				if (!res || !locale) {
+					return res;
+				}
+
+				// variants are only available from the CMS API, which a channel
+				// set up for the Playback API alone can not use
+				return Promise.try(() => client.getVideoVariants({videoId: res.video.id}))
+					.catch(err => {
+						// serve the default language, and report the error as a warning
+						bus.broadcast({level: 'warn'}, {
+							spec,
+							error: err,
+							code: err.code,
+							message: 'video variants not available'
+						});
+
+						return [];
+					})
+					.then(variants => {
+						return Object.assign({}, res, localizeVideo(res.video, variants, locale));
+					});
+			})
+			.then(res => {
+				if (res) {
+					const resource = applyFieldMap({
+						resource: transform(spec, res.video, res.sources, channel),
+						source: res.video,
+						kind: 'video',
+						client,
+						channel
+					});
+
+					if (locale) {
+						resource.locale = res.locale;
+						resource.locales = res.locales;
+					}
+
+					// flag, rather than reject, a video the viewer cannot play
+					if (country) {
+						resource.geo = Object.assign({}, resource.geo, {
+							allowed: isGeoAllowed(res.video.geo, country)
+						});
+					}
+
+					// spec.related or channel.features.brightcove.related
+					// add a "more like this" relationship
+					return fetchRelatedVideos({bus, client, channel, spec, video: res.video, viewer: args.viewer, locale})
+						.then(data => {
+							if (data) {
+								resource.relationships = Object.assign({}, resource.relationships, {
+									related: {data}
+								});
+							}
+
+							return resource;
+						});
+				}
+
 				const error = new Error(`Video not found for id "${videoId}"`);
 				error.code = 'VIDEO_NOT_FOUND';
 
@@ -48,6 +154,17 @@ module.exports = (bus, client, transform) => {
 					message: 'video not found'
 				});
 
+				return Promise.reject(error);
+			})
+			.catch(BrightcoveError, error => {
+				// report Brightcove API errors with the error_code from the response
+				bus.broadcast({level: 'error'}, {
+					spec,
+					error,
+					code: error.code,
+					message: error.message
+				});
+
 				return Promise.reject(error);
 			});
 	};
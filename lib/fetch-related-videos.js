@@ -0,0 +1,102 @@
+'use strict';
+
+const Promise = require('bluebird');
+const _ = require('lodash');
+const debug = require('debug')('oddworks:provider:brightcove:fetch-related-videos');
+const Client = require('./client');
+const filterEligibleVideos = require('./filter-eligible-videos');
+const searchTerm = require('./search-term');
+const setVideoSpecs = require('./set-video-specs');
+
+const DEFAULTS = {
+	tags: true,
+	fields: ['series'],
+	limit: 10
+};
+
+// Resolves the related options for a video spec, or null when the spec does
+// not ask for related videos. spec.related is either true or an object which
+// overrides channel.features.brightcove.related.
+function getOptions(spec, channel) {
+	const channelOptions = _.get(channel, 'features.brightcove.related');
+
+	if (spec.related === false || (!spec.related && !channelOptions)) {
+		return null;
+	}
+
+	return Object.assign({}, DEFAULTS, channelOptions, _.isPlainObject(spec.related) ? spec.related : {});
+}
+
+// Searches the CMS API for videos sharing tags or custom field values with
+// the video, registers them as videoSpecs and resolves with the relationship
+// data for them: [{id, type}]. Resolves with null when the spec does not ask
+// for related videos, or when they can not be fetched, so the video itself is
+// still served.
+//
+// args.bus *required
+// args.client *required
+// args.channel *required
+// args.spec *required - The video spec
+// args.video *required - The CMS API video
+// args.viewer *optional - Leaves out videos geo restricted for viewer.country
+// args.locale *optional - Passed on to the videoSpecs
+//
+// spec.related.tags *optional - Match any tag of the video. Defaults to true
+// spec.related.fields *optional - Custom fields to match. Defaults to ['series']
+// spec.related.limit *optional - The most related videos. Defaults to 10
+module.exports = args => {
+	const bus = args.bus;
+	const client = args.client;
+	const channel = args.channel;
+	const spec = args.spec;
+	const video = args.video;
+	const options = getOptions(spec, channel);
+
+	if (!options) {
+		return Promise.resolve(null);
+	}
+
+	const limit = Math.min(parseInt(options.limit, 10) || DEFAULTS.limit, Client.MAX_PAGE_SIZE - 1);
+	const terms = [];
+
+	if (options.tags && !_.isEmpty(video.tags)) {
+		terms.push(searchTerm('tags', video.tags));
+	}
+
+	_.castArray(options.fields || []).forEach(field => {
+		const value = _.get(video, ['custom_fields', field]);
+
+		if (_.isString(value) && value) {
+			terms.push(searchTerm(field, value));
+		}
+	});
+
+	if (!terms.length) {
+		return Promise.resolve([]);
+	}
+
+	const q = terms.join(' ');
+	debug(`fetchRelatedVideos id: ${video.id} q: ${q} limit: ${limit}`);
+
+	// ask for one more, in case the video finds itself
+	return Promise.try(() => client.getVideos({skipScheduleCheck: false, query: {q, limit: limit + 1}}))
+		.then(videos => {
+			videos = _.take(_.reject(videos, {id: video.id}), limit);
+
+			// leave out inactive, incomplete and unplayable videos
+			videos = filterEligibleVideos({bus, client, channel, spec, viewer: args.viewer, videos});
+
+			return setVideoSpecs(bus, channel, videos, args.locale);
+		})
+		.catch(err => {
+			// related videos are optional, so report the error as a warning
+			bus.broadcast({level: 'warn'}, {
+				spec,
+				error: err,
+				code: err.code,
+				message: 'related videos not available'
+			});
+
+			return null;
+		});
+};
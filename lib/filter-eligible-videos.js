@@ -0,0 +1,49 @@
+'use strict';
+
+const _ = require('lodash');
+const checkVideoEligibility = require('./check-video-eligibility');
+const getEligibilityOptions = require('./get-eligibility-options');
+const normalizePlaybackVideo = require('./normalize-playback-video');
+
+// Removes the videos which fail the eligibility rules of the client and the
+// channel, and reports each one on the bus with the reason code.
+//
+// args.bus *required
+// args.client *required - Provides requiredImages and eligibilityRules
+// args.channel *required - May override them. See lib/get-eligibility-options.js
+// args.spec *required - The collection spec, for the report
+// args.viewer *optional - Leaves out geo restricted videos for viewer.country
+// args.videos *required
+// args.playback *optional - The videos are from the Playback API. They are
+//                           checked in the CMS API format, but returned as they are.
+module.exports = args => {
+	const bus = args.bus;
+	const options = getEligibilityOptions(args.client, args.channel);
+
+	return _.filter(args.videos, video => {
+		// Playback API videos include their sources
+		const normalized = args.playback ?
+			normalizePlaybackVideo(video) :
+			{video, sources: video.sources};
+
+		const code = checkVideoEligibility({
+			video: normalized.video,
+			sources: normalized.sources,
+			channel: args.channel,
+			country: _.get(args, 'viewer.country'),
+			requiredImages: options.requiredImages,
+			rules: options.rules
+		});
+
+		if (code) {
+			bus.broadcast({level: 'warn'}, {
+				spec: args.spec,
+				code,
+				message: `video "${video.id}" excluded from the collection`,
+				videoId: video.id
+			});
+		}
+
+		return !code;
+	});
+};
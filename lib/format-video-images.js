@@ -0,0 +1,138 @@
+'use strict';
+
+const url = require('url');
+const _ = require('lodash');
+
+const HTTPS_MATCHER = /^https:\/\//;
+const HTTP_MATCHER = /^http:\/\//;
+const SIZE_MATCHER = /^(\d+)x(\d+)$/;
+
+// Brightcove serves images over both protocols from these hosts, so http
+// URLs from them can be upgraded rather than dropped.
+const BRIGHTCOVE_CDN_MATCHER = /(^|\.)(brightcove\.(com|net)|brightcovecdn\.com|boltdns\.net)$|^brightcove\.[a-z]+\.llnwd\.net$/;
+
+// Newer accounts also have wide (16:9) and square images
+const IMAGE_TYPES = ['poster', 'thumbnail', 'wide', 'square'];
+const DEFAULT_TYPES = ['poster', 'thumbnail'];
+
+// Playback API image sources do not include dimensions
+const imageLabel = (type, image) => {
+	if (image.width && image.height) {
+		return `${type}-${image.width}x${image.height}`;
+	}
+
+	return type;
+};
+
+// Returns the https URL for an image, or null for one which can not be served
+// over https.
+const secureUrl = (src, options) => {
+	if (!_.isString(src)) {
+		return null;
+	}
+
+	if (HTTP_MATCHER.test(src) && options.upgradeHttp) {
+		const hostname = url.parse(src).hostname || '';
+
+		if (BRIGHTCOVE_CDN_MATCHER.test(hostname)) {
+			src = src.replace(HTTP_MATCHER, 'https://');
+		}
+	}
+
+	if (!HTTPS_MATCHER.test(src)) {
+		return null;
+	}
+
+	if (options.host) {
+		const parsed = url.parse(src);
+		const host = url.parse(options.host);
+
+		return url.format(Object.assign(parsed, {
+			protocol: host.protocol || parsed.protocol,
+			host: host.host
+		}));
+	}
+
+	return src;
+};
+
+// Parses a size like "1280x720" or {width: 1280, height: 720}
+const parseSize = size => {
+	const match = SIZE_MATCHER.exec(size);
+
+	if (match) {
+		return {width: parseInt(match[1], 10), height: parseInt(match[2], 10)};
+	}
+
+	if (_.isNumber(_.get(size, 'width')) && _.isNumber(_.get(size, 'height'))) {
+		return {width: size.width, height: size.height};
+	}
+
+	return null;
+};
+
+// Picks the smallest rendition at least as large as the preferred size, or the
+// largest rendition when none is. Renditions without dimensions are only used
+// when no rendition has them.
+const pickRendition = (images, size) => {
+	const sized = images.filter(image => image.width && image.height);
+
+	if (!sized.length) {
+		return _.take(images, 1);
+	}
+
+	const large = _.sortBy(sized.filter(image => {
+		return image.width >= size.width && image.height >= size.height;
+	}), image => image.width * image.height);
+
+	return large.length ? _.take(large, 1) : _.takeRight(_.sortBy(sized, image => image.width * image.height), 1);
+};
+
+// Formats the images of a CMS API video as Oddworks images:
+// [{url, height, width, label}]
+//
+// channel.features.brightcove.images *optional
+//   images.types - The image types to include. Defaults to poster and thumbnail
+//   images.sizes - A preferred size per type, like {poster: '1280x720'}. Only
+//                  the closest rendition of the type is included.
+//   images.upgradeHttp - Use https for http Brightcove CDN URLs. Defaults to true
+//   images.host - Rewrite image URLs to this host, like 'https://images.example.com'
+module.exports = (video, channel) => {
+	const settings = _.get(channel, 'features.brightcove.images') || {};
+	const videoImages = video.images || {};
+
+	const types = _.isArray(settings.types) ?
+		_.intersection(settings.types, IMAGE_TYPES) :
+		DEFAULT_TYPES;
+
+	const options = {
+		upgradeHttp: settings.upgradeHttp !== false,
+		host: _.isString(settings.host) && settings.host ? settings.host : null
+	};
+
+	return _.flatMap(types, type => {
+		const image = videoImages[type] || {};
+
+		// a CMS API image may only have a src
+		const renditions = _.isEmpty(image.sources) ?
+			_.compact([image.src && {src: image.src}]) :
+			image.sources;
+
+		const images = renditions
+			.map(rendition => {
+				return Object.assign({}, rendition, {src: secureUrl(rendition.src, options)});
+			})
+			.filter(rendition => Boolean(rendition.src));
+
+		const size = parseSize(_.get(settings, ['sizes', type]));
+
+		return (size ? pickRendition(images, size) : images).map(rendition => {
+			return {
+				url: rendition.src,
+				height: rendition.height,
+				width: rendition.width,
+				label: imageLabel(type, rendition)
+			};
+		});
+	});
+};
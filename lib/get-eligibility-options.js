@@ -0,0 +1,36 @@
+'use strict';
+
+const _ = require('lodash');
+
+const eligible = () => true;
+
+// Resolves the requiredImages and rules for checkVideoEligibility() from the
+// client options, with the channel settings over them.
+//
+// The client eligibilityRules apply to every channel. Channels turn on the
+// client namedEligibilityRules by reason code, and turn off other rules,
+// including the built in rules, with false.
+//
+// client *required - Provides requiredImages, eligibilityRules and namedEligibilityRules
+// channel *optional
+//
+// channel.features.brightcove.requiredImages *optional - Replaces the client requiredImages
+// channel.features.brightcove.eligibilityRules *optional - Like {MATURE_CONTENT: true, NO_HTTPS_SOURCE: false}
+module.exports = (client, channel) => {
+	const settings = _.get(channel, 'features.brightcove') || {};
+	const rules = Object.assign({}, client.eligibilityRules);
+
+	_.forEach(settings.eligibilityRules, (enabled, code) => {
+		if (enabled === false) {
+			rules[code] = eligible;
+		} else if (enabled === true && _.has(client.namedEligibilityRules, code)) {
+			rules[code] = client.namedEligibilityRules[code];
+		}
+	});
+
+	const requiredImages = _.isArray(settings.requiredImages) ?
+		settings.requiredImages :
+		client.requiredImages;
+
+	return {requiredImages, rules};
+};
@@ -0,0 +1,188 @@
+'use strict';
+
+const Promise = require('bluebird');
+const _ = require('lodash');
+const debug = require('debug')('oddworks:provider:brightcove:ingest-client');
+const Client = require('./client');
+
+/*
+	via: https://docs.brightcove.com/en/video-cloud/di-api/getting-started/overview-di.html
+
+	The Dynamic Ingest API is used to add media to a Video Cloud account. Ingesting
+	a new video is a two step process: create the video object with the CMS API,
+	then submit an ingest request for it with the URL of the source file. Source
+	files which are not publicly reachable can be uploaded to a Brightcove S3
+	bucket first, using the upload URLs from the Dynamic Ingest API.
+
+	Ingest requests go through a Client, so they share its access tokens, its
+	request queue and rate limits, and its BrightcoveError handling.
+*/
+
+class IngestClient {
+	// args.client *optional - A Client to make requests with. When omitted, a
+	//                         Client is created from the rest of args.
+	constructor(args) {
+		args = args || {};
+		this.client = args.client || new Client(args);
+
+		this.createVideo = this.createVideo.bind(this);
+		this.submitIngest = this.submitIngest.bind(this);
+		this.getUploadUrls = this.getUploadUrls.bind(this);
+		this.getIngestJob = this.getIngestJob.bind(this);
+		this.ingestVideo = this.ingestVideo.bind(this);
+	}
+
+	// Creates the video object which media is ingested into. See Client#createVideo().
+	//
+	// args.accountId *optional - Defaults to this.client.accountId
+	// args.video *required
+	createVideo(args) {
+		return this.client.createVideo(args);
+	}
+
+	// args.accountId *optional - Defaults to this.client.accountId
+	// args.videoId *required
+	// args.ingest *required - The ingest request body. See: https://docs.brightcove.com/en/video-cloud/di-api/reference/versions/v1/index.html#api-Ingest-Ingest_Media_Asset
+	//   ingest.master.url - URL to pull the video source from
+	//   ingest.profile - Ingest profile name
+	//   ingest.poster, ingest.thumbnail - {url, width, height}
+	//   ingest.text_tracks - [{url, srclang, kind, label, default}]
+	//   ingest.callbacks - Notification URLs
+	submitIngest(args) {
+		args = args || {};
+		const accountId = _.get(args, 'accountId', this.client.accountId);
+		const videoId = args.videoId;
+		const ingest = args.ingest;
+
+		if (!_.isString(accountId)) {
+			throw new Error('An accountId string is required for submitIngest()');
+		}
+
+		if (!_.isString(videoId)) {
+			throw new Error('A videoId string is required for submitIngest()');
+		}
+
+		if (!_.isPlainObject(ingest)) {
+			throw new Error('An ingest object is required for submitIngest()');
+		}
+
+		args = Object.assign({}, args, {
+			method: 'POST',
+			baseUrl: this.client.baseUrls.ingest,
+			path: `/accounts/${accountId}/videos/${videoId}/ingest-requests`,
+			contentType: Client.DEFAULT_CONTENT_TYPE,
+			body: ingest,
+			// a retried ingest request could start a second job
+			idempotent: false,
+			query: {}
+		});
+
+		return this.client.authorizedRequest(args);
+	}
+
+	// Requests a signed S3 upload URL and temporary credentials for a source
+	// file. Upload the file, then use the returned api_request_url as
+	// ingest.master.url in submitIngest().
+	//
+	// args.accountId *optional - Defaults to this.client.accountId
+	// args.videoId *required
+	// args.sourceName *required - The file name of the source, such as video.mp4
+	getUploadUrls(args) {
+		args = args || {};
+		const accountId = _.get(args, 'accountId', this.client.accountId);
+		const videoId = args.videoId;
+		const sourceName = args.sourceName;
+
+		if (!_.isString(accountId)) {
+			throw new Error('An accountId string is required for getUploadUrls()');
+		}
+
+		if (!_.isString(videoId)) {
+			throw new Error('A videoId string is required for getUploadUrls()');
+		}
+
+		if (!_.isString(sourceName)) {
+			throw new Error('A sourceName string is required for getUploadUrls()');
+		}
+
+		args = Object.assign({}, args, {
+			method: 'GET',
+			baseUrl: this.client.baseUrls.ingest,
+			path: `/accounts/${accountId}/videos/${videoId}/upload-urls/${encodeURIComponent(sourceName)}`,
+			contentType: Client.DEFAULT_CONTENT_TYPE,
+			query: {}
+		});
+
+		return this.client.authorizedRequest(args);
+	}
+
+	// args.accountId *optional - Defaults to this.client.accountId
+	// args.videoId *required
+	// args.jobId *required - The id returned by submitIngest()
+	getIngestJob(args) {
+		args = args || {};
+		const accountId = _.get(args, 'accountId', this.client.accountId);
+		const videoId = args.videoId;
+		const jobId = args.jobId;
+
+		if (!_.isString(accountId)) {
+			throw new Error('An accountId string is required for getIngestJob()');
+		}
+
+		if (!_.isString(videoId)) {
+			throw new Error('A videoId string is required for getIngestJob()');
+		}
+
+		if (!_.isString(jobId)) {
+			throw new Error('A jobId string is required for getIngestJob()');
+		}
+
+		args = Object.assign({}, args, {
+			method: 'GET',
+			baseUrl: this.client.baseUrls.cms,
+			path: `/accounts/${accountId}/videos/${videoId}/ingest_jobs/${jobId}`,
+			contentType: Client.DEFAULT_CONTENT_TYPE,
+			query: {}
+		});
+
+		return this.client.authorizedRequest(args);
+	}
+
+	// Submits an ingest request, first creating the video when no videoId is
+	// given. Resolves with {videoId, video, job}.
+	//
+	// args.accountId *optional - Defaults to this.client.accountId
+	// args.videoId *optional - Ingest into an existing video
+	// args.video *optional - Fields for the new video, required without args.videoId
+	// args.ingest *required - See submitIngest()
+	ingestVideo(args) {
+		args = args || {};
+
+		if (!_.isString(args.videoId) && !_.isPlainObject(args.video)) {
+			throw new Error('A videoId string or video object is required for ingestVideo()');
+		}
+
+		if (!_.isPlainObject(args.ingest)) {
+			throw new Error('An ingest object is required for ingestVideo()');
+		}
+
+		const getVideo = _.isString(args.videoId) ?
+			Promise.resolve(null) :
+			this.createVideo(_.omit(args, 'ingest'));
+
+		return getVideo.then(video => {
+			const videoId = video ? video.id : args.videoId;
+			debug(`ingestVideo id: ${videoId}`);
+
+			return this.submitIngest(Object.assign({}, _.omit(args, 'video'), {videoId})).then(job => {
+				return {videoId, video, job};
+			});
+		});
+	}
+
+	static get INGEST_API_BASE_URL() {
+		return Client.INGEST_API_BASE_URL;
+	}
+}
+
+module.exports = IngestClient;
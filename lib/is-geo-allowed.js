@@ -0,0 +1,18 @@
+'use strict';
+
+const _ = require('lodash');
+
+// Checks a Brightcove video geo object, like
+// {countries: ['us', 'ca'], exclude_countries: false, restricted: true},
+// against a viewer country code. Unrestricted videos, and viewers with an
+// unknown country, are always allowed.
+module.exports = (geo, country) => {
+	if (!geo || !geo.restricted || !_.isString(country) || !country) {
+		return true;
+	}
+
+	const countries = (geo.countries || []).map(code => String(code).toLowerCase());
+	const listed = _.includes(countries, country.toLowerCase());
+
+	return geo.exclude_countries ? !listed : listed;
+};
@@ -0,0 +1,57 @@
+'use strict';
+
+const _ = require('lodash');
+
+const TEXT_FIELDS = ['name', 'description', 'long_description'];
+
+// Locales are compared like "fr-ca", whether given as fr_CA or fr-CA
+const normalizeLocale = locale => String(locale).toLowerCase().replace(/_/g, '-');
+
+// Finds the variant for a locale, falling back from a regional locale such as
+// fr-CA to its language, fr.
+const findVariant = (variants, locale) => {
+	const requested = normalizeLocale(locale);
+	const candidates = _.uniq([requested, requested.split('-')[0]]);
+
+	return candidates.reduce((found, candidate) => {
+		return found || _.find(variants, variant => normalizeLocale(variant.language) === candidate) || null;
+	}, null);
+};
+
+// Applies the variant of a video for a locale over its default language
+// metadata. Fields the variant leaves empty keep their default value. Without
+// a matching variant the video is returned as it is.
+//
+// Returns {video, locale, locales}, where locale is the language of the
+// variant used, or null for the default language, and locales lists the
+// language of every variant.
+//
+// video *required
+// variants *optional - The CMS API video variants
+// locale *optional - Such as "fr-CA" or "fr"
+module.exports = (video, variants, locale) => {
+	variants = _.isArray(variants) ? variants : [];
+
+	const locales = _.uniq(variants.map(variant => variant.language).filter(_.isString));
+	const variant = locale ? findVariant(variants, locale) : null;
+
+	if (!variant) {
+		return {video, locale: null, locales};
+	}
+
+	const localized = Object.assign({}, video);
+
+	TEXT_FIELDS.forEach(field => {
+		if (_.isString(variant[field]) && variant[field]) {
+			localized[field] = variant[field];
+		}
+	});
+
+	const customFields = _.omitBy(variant.custom_fields, value => {
+		return _.isNil(value) || value === '';
+	});
+
+	localized.custom_fields = Object.assign({}, video.custom_fields, customFields); // eslint-disable-line camelcase
+
+	return {video: localized, locale: variant.language, locales};
+};
@@ -0,0 +1,33 @@
+'use strict';
+
+const _ = require('lodash');
+
+// Playback API videos carry their images as `poster`/`poster_sources` and
+// `thumbnail`/`thumbnail_sources`, and their renditions as `sources` with an
+// `avg_bitrate`. This reshapes them into the CMS API video and sources objects
+// the video and collection transforms expect.
+//
+// Returns {video, sources}
+module.exports = video => {
+	const images = {
+		poster: {
+			src: video.poster || null,
+			sources: video.poster_sources || []
+		},
+		thumbnail: {
+			src: video.thumbnail || null,
+			sources: video.thumbnail_sources || []
+		}
+	};
+
+	const sources = (video.sources || []).map(source => {
+		return Object.assign({
+			encoding_rate: source.avg_bitrate // eslint-disable-line camelcase
+		}, source);
+	});
+
+	return {
+		video: Object.assign(_.omit(video, 'sources'), {images}),
+		sources
+	};
+};
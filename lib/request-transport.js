@@ -0,0 +1,37 @@
+'use strict';
+
+const Promise = require('bluebird');
+const request = require('request');
+
+// The default Client transport, built on the request module.
+//
+// A transport is a function which sends one HTTP request and returns a Promise
+// for the response. It is called with:
+//
+//   {method, url, qs, headers, body}
+//
+// where qs is an Object of query string parameters and body is a String (empty
+// when there is no request body). It must resolve with:
+//
+//   {statusCode, headers, body}
+//
+// where headers have lower case names and body is the response body as a
+// String (or an already parsed JSON value). Any status code must resolve; the
+// Client decides what is an error. A transport should only reject when no
+// response was received, with an Error which has a network error `code` such
+// as ECONNRESET so the Client knows to retry it.
+module.exports = params => {
+	return new Promise((resolve, reject) => {
+		request(params, (err, res, body) => {
+			if (err) {
+				return reject(err);
+			}
+
+			return resolve({
+				statusCode: res.statusCode,
+				headers: res.headers,
+				body
+			});
+		});
+	});
+};
@@ -0,0 +1,15 @@
+'use strict';
+
+const _ = require('lodash');
+
+// Builds a CMS API search term like `tags:"a","b"`, which matches any of the
+// values. Double quotes are removed from the values.
+//
+// field *required
+// values *required - A value or an Array of values
+// required *optional - Prefix the term with + so every result must match it
+module.exports = (field, values, required) => {
+	const quoted = _.castArray(values).map(value => `"${String(value).replace(/"/g, '')}"`);
+
+	return `${required ? '+' : ''}${field}:${quoted.join(',')}`;
+};
@@ -0,0 +1,108 @@
+'use strict';
+
+const url = require('url');
+const _ = require('lodash');
+
+const PROTOCOLS = ['hls', 'dash', 'mp4'];
+
+const MIME_TYPE_PROTOCOLS = {
+	'application/x-mpegurl': 'hls',
+	'application/vnd.apple.mpegurl': 'hls',
+	'application/dash+xml': 'dash',
+	'video/mp4': 'mp4'
+};
+
+const protocolOf = source => MIME_TYPE_PROTOCOLS[String(source.mimeType).toLowerCase()] || null;
+
+const hostOf = source => url.parse(source.url).hostname;
+
+// Sources with a value of 0 do not report it, like most HLS and DASH
+// manifests, and are not limited by it.
+const withinLimits = (value, min, max) => {
+	if (!value) {
+		return true;
+	}
+
+	return (!_.isNumber(min) || value >= min) && (!_.isNumber(max) || value <= max);
+};
+
+// The same rendition served from different CDNs
+const renditionKey = source => {
+	return [
+		source.mimeType,
+		source.width,
+		source.height,
+		source.maxBitrate,
+		source.encrypted
+	].join(':');
+};
+
+// Applies the source policy of a channel to sources formatted by the default
+// video transform. Without a policy the sources are returned as they are.
+//
+// channel.features.brightcove.sources *optional
+//   sources.protocols - The protocols to include: 'hls', 'dash' and 'mp4'
+//   sources.minBitrate, sources.maxBitrate - In bits per second
+//   sources.minWidth, sources.maxWidth, sources.minHeight, sources.maxHeight
+//   sources.dedupe - Include each rendition once, when it is on several CDNs
+//   sources.preferredHost - A CDN hostname whose sources go first within each
+//                           protocol, and are kept over their duplicates
+//   sources.order - Protocols in the order they are listed, like ['hls', 'mp4'].
+//                   Unlisted protocols go last.
+//   sources.bitrateOrder - 'ascending' or 'descending' by maxBitrate, within
+//                          each protocol
+module.exports = (sources, channel) => {
+	const policy = _.get(channel, 'features.brightcove.sources');
+
+	if (!_.isPlainObject(policy)) {
+		return sources;
+	}
+
+	const protocols = _.isArray(policy.protocols) ?
+		_.intersection(policy.protocols, PROTOCOLS) :
+		null;
+
+	let selected = sources.filter(source => {
+		if (protocols && !_.includes(protocols, protocolOf(source))) {
+			return false;
+		}
+
+		return withinLimits(source.maxBitrate, policy.minBitrate, policy.maxBitrate) &&
+			withinLimits(source.width, policy.minWidth, policy.maxWidth) &&
+			withinLimits(source.height, policy.minHeight, policy.maxHeight);
+	});
+
+	const preferred = source => hostOf(source) === policy.preferredHost ? 0 : 1;
+
+	if (policy.dedupe) {
+		// keep the duplicate from the preferred host
+		selected = _.uniqBy(policy.preferredHost ? _.sortBy(selected, preferred) : selected, renditionKey);
+	}
+
+	// _.sortBy() is stable, so sources otherwise keep the API order
+	const iteratees = [];
+
+	if (policy.preferredHost) {
+		iteratees.push(preferred);
+	}
+
+	if (policy.bitrateOrder === 'ascending' || policy.bitrateOrder === 'descending') {
+		const direction = policy.bitrateOrder === 'ascending' ? 1 : -1;
+		iteratees.push(source => direction * source.maxBitrate);
+	}
+
+	// Group the sources by protocol before sorting within each protocol.
+	// Without policy.order, protocols keep the order they first appear in.
+	const order = _.isArray(policy.order) ?
+		policy.order :
+		(iteratees.length ? _.uniq(selected.map(protocolOf)) : null);
+
+	if (order) {
+		iteratees.unshift(source => {
+			const index = order.indexOf(protocolOf(source));
+			return index === -1 ? order.length : index;
+		});
+	}
+
+	return _.sortBy(selected, iteratees);
+};
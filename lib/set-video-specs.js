@@ -0,0 +1,36 @@
+'use strict';
+
+const Promise = require('bluebird');
+
+// Registers a brightcove-video videoSpec in the catalog for each Brightcove
+// video, in order, and resolves with the entity relationship data for them:
+// [{id, type}]
+//
+// locale *optional - Set on each videoSpec, so the videos are localized too
+module.exports = (bus, channel, videos, locale) => {
+	return Promise.all((videos || []).map(video => {
+		const spec = {
+			channel: channel.id,
+			type: 'videoSpec',
+			source: 'brightcove-video',
+			video
+		};
+
+		if (locale) {
+			spec.locale = locale;
+		}
+
+		if (video.id) {
+			spec.id = `spec-brightcove-video-${video.id}`;
+		}
+
+		return bus.sendCommand({role: 'catalog', cmd: 'setItemSpec'}, spec);
+	})).then(specs => {
+		return specs.map(spec => {
+			return {
+				id: spec.resource,
+				type: spec.type.replace(/Spec$/, '')
+			};
+		});
+	});
+};
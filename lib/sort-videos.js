@@ -0,0 +1,128 @@
+'use strict';
+
+const _ = require('lodash');
+
+// Collections without a spec.sort are ordered newest first by release date.
+const DEFAULT_SORT = '-scheduled';
+
+const NUMERIC_MATCHER = /^-?\d+(\.\d+)?$/;
+const CUSTOM_FIELD_MATCHER = /^custom_field:(.+)$/;
+
+function parseDate(value) {
+	const time = Date.parse(value);
+	return _.isNaN(time) ? null : time;
+}
+
+// Each strategy returns the value a video is ordered by, or null when the
+// video has none.
+const STRATEGIES = {
+	published: video => parseDate(video.published_at),
+	scheduled: video => parseDate(_.get(video, 'schedule.starts_at')) || parseDate(video.published_at),
+	name: video => _.isString(video.name) ? video.name.toLowerCase() : null,
+	duration: video => _.isNumber(video.duration) ? video.duration : null
+};
+
+// Custom field values are Strings, so numeric values such as episode numbers
+// are compared as Numbers.
+function customField(name) {
+	return video => {
+		const value = _.get(video, ['custom_fields', name]);
+
+		if (!_.isString(value) || !value) {
+			return null;
+		}
+
+		return NUMERIC_MATCHER.test(value) ? parseFloat(value) : value.toLowerCase();
+	};
+}
+
+function compareValues(a, b) {
+	if (_.isNumber(a) !== _.isNumber(b)) {
+		a = String(a);
+		b = String(b);
+	}
+
+	if (a < b) {
+		return -1;
+	}
+
+	return a > b ? 1 : 0;
+}
+
+// Parses a sort like "name" or "-published" (descending) into
+// {mode, descending, getValue, compare}. Built in modes order by the value
+// from getValue. The "playlist" mode keeps the order Brightcove returned, so
+// it has neither. Returns null for an unknown mode.
+//
+// comparators *optional - Named custom comparators, (a, b) => Number, which
+//                         take precedence over the built in modes
+function parseSort(sort, comparators) {
+	sort = _.isNil(sort) ? DEFAULT_SORT : sort;
+
+	if (!_.isString(sort) || !sort) {
+		return null;
+	}
+
+	const descending = sort.charAt(0) === '-';
+	const mode = descending ? sort.slice(1) : sort;
+	const match = CUSTOM_FIELD_MATCHER.exec(mode);
+	let getValue = null;
+	let compare = null;
+
+	if (comparators && _.isFunction(comparators[mode])) {
+		compare = comparators[mode];
+	} else if (_.has(STRATEGIES, mode)) {
+		getValue = STRATEGIES[mode];
+	} else if (match) {
+		getValue = customField(match[1]);
+	} else if (mode !== 'playlist') {
+		return null;
+	}
+
+	if (getValue) {
+		compare = (a, b) => compareValues(getValue(a), getValue(b));
+	}
+
+	return {mode, descending, getValue, compare};
+}
+
+// Returns a sorted copy of videos. Videos without a value for a built in mode
+// always go last, whichever the direction.
+//
+// videos *required
+// sort *optional - Defaults to DEFAULT_SORT. See parseSort()
+// comparators *optional - See parseSort()
+function sortVideos(videos, sort, comparators) {
+	const strategy = parseSort(sort, comparators);
+
+	if (!strategy) {
+		throw new Error(`Unknown sort "${sort}"`);
+	}
+
+	videos = (videos || []).slice();
+
+	if (!strategy.compare) {
+		return strategy.descending ? videos.reverse() : videos;
+	}
+
+	const getValue = strategy.getValue;
+	const direction = strategy.descending ? -1 : 1;
+
+	return videos.sort((a, b) => {
+		if (getValue) {
+			const aMissing = _.isNull(getValue(a));
+			const bMissing = _.isNull(getValue(b));
+
+			if (aMissing || bMissing) {
+				return aMissing - bMissing;
+			}
+		}
+
+		return direction * strategy.compare(a, b);
+	});
+}
+
+sortVideos.DEFAULT_SORT = DEFAULT_SORT;
+sortVideos.parseSort = parseSort;
+
+module.exports = sortVideos;
@@ -0,0 +1,110 @@
+'use strict';
+
+const test = require('ava');
+
+const applyFieldMap = require('../lib/apply-field-map');
+const videoResponse = require('./fixtures/get-video-response');
+
+const video = Object.assign({}, videoResponse, {
+	custom_fields: {genre: 'Drama', rating: '4.5', cast: 'Ann, Bob ,Cy'}, // eslint-disable-line camelcase
+	reference_id: 'REF-1', // eslint-disable-line camelcase
+	tags: ['featured', 'new']
+});
+
+function client(fieldMap) {
+	return {fieldMap};
+}
+
+test('copies Brightcove paths onto resource paths', t => {
+	const res = applyFieldMap({
+		resource: {id: 'res-brightcove-video-1'},
+		source: video,
+		kind: 'video',
+		client: client({
+			video: {
+				'meta.genre': 'custom_fields.genre',
+				'meta.externalId': 'reference_id',
+				'meta.tags': 'tags'
+			}
+		})
+	});
+
+	t.deepEqual(res, {
+		id: 'res-brightcove-video-1',
+		meta: {genre: 'Drama', externalId: 'REF-1', tags: ['featured', 'new']}
+	});
+});
+
+test('coerces values by type', t => {
+	const res = applyFieldMap({
+		resource: {},
+		source: video,
+		kind: 'video',
+		client: client({
+			video: {
+				'meta.rating': {from: 'custom_fields.rating', type: 'number'},
+				'meta.cast': {from: 'custom_fields.cast', type: 'list'},
+				'meta.createdAt': {from: 'created_at', type: 'date'},
+				'meta.tags': {from: 'tags', type: 'string'}
+			}
+		})
+	});
+
+	t.deepEqual(res.meta, {
+		rating: 4.5,
+		cast: ['Ann', 'Bob', 'Cy'],
+		createdAt: new Date(videoResponse.created_at).toISOString(),
+		tags: 'featured,new'
+	});
+});
+
+test('uses defaults for missing or unconvertible values', t => {
+	const res = applyFieldMap({
+		resource: {},
+		source: video,
+		kind: 'video',
+		client: client({
+			video: {
+				'meta.season': {from: 'custom_fields.season', type: 'number', default: 1},
+				'meta.genre': {from: 'custom_fields.genre', type: 'number', default: 0},
+				'meta.network': 'custom_fields.network'
+			}
+		})
+	});
+
+	t.deepEqual(res.meta, {season: 1, genre: 0});
+});
+
+test('channel fieldMap entries override the provider ones', t => {
+	const channel = {
+		features: {
+			brightcove: {
+				fieldMap: {
+					video: {'meta.genre': {from: 'custom_fields.genre', type: 'list'}}
+				}
+			}
+		}
+	};
+
+	const res = applyFieldMap({
+		resource: {},
+		source: video,
+		kind: 'video',
+		client: client({
+			video: {'meta.genre': 'custom_fields.genre', 'meta.externalId': 'reference_id'},
+			collection: {'meta.playlistType': 'type'}
+		}),
+		channel
+	});
+
+	t.deepEqual(res.meta, {genre: ['Drama'], externalId: 'REF-1'});
+});
+
+test('rejects unsupported types', t => {
+	t.throws(() => applyFieldMap({
+		resource: {},
+		source: video,
+		kind: 'video',
+		client: client({video: {'meta.genre': {from: 'custom_fields.genre', type: 'json'}}})
+	}), 'fieldMap "meta.genre" type "json" is not supported');
+});
@@ -0,0 +1,84 @@
+'use strict';
+
+const test = require('ava');
+
+const Client = require('../lib/client');
+const checkVideoEligibility = require('../lib/check-video-eligibility');
+const filterEligibleVideos = require('../lib/filter-eligible-videos');
+const videoResponse = require('./fixtures/get-video-response');
+const videoSourcesResponse = require('./fixtures/get-video-sources-response');
+
+const httpSources = videoSourcesResponse.filter(source => /^http:/.test(source.src));
+
+test('an active, complete video with an HTTPS source is eligible', t => {
+	t.is(checkVideoEligibility({video: videoResponse, sources: videoSourcesResponse}), null);
+});
+
+test('rejects inactive and incomplete videos', t => {
+	t.is(checkVideoEligibility({video: Object.assign({}, videoResponse, {state: 'PENDING'})}), 'VIDEO_INACTIVE');
+	t.is(checkVideoEligibility({video: Object.assign({}, videoResponse, {complete: false})}), 'VIDEO_INCOMPLETE');
+});
+
+test('rejects videos without an HTTPS source, when the sources are known', t => {
+	t.is(checkVideoEligibility({video: videoResponse, sources: httpSources}), 'NO_HTTPS_SOURCE');
+	t.is(checkVideoEligibility({video: videoResponse, sources: []}), 'NO_HTTPS_SOURCE');
+	t.is(checkVideoEligibility({video: videoResponse}), null);
+});
+
+test('rejects videos without the required images', t => {
+	const video = Object.assign({}, videoResponse, {images: {poster: videoResponse.images.poster}});
+
+	t.is(checkVideoEligibility({video, requiredImages: ['poster']}), null);
+	t.is(checkVideoEligibility({video, requiredImages: ['poster', 'thumbnail']}), 'MISSING_IMAGES');
+});
+
+test('applies custom rules with the channel', t => {
+	const rules = {
+		NOT_FOR_KIDS: (video, sources, channel) => !(channel.kids && video.tags.indexOf('mature') !== -1)
+	};
+	const video = Object.assign({}, videoResponse, {tags: ['mature']});
+
+	t.is(checkVideoEligibility({video, rules, channel: {kids: true}}), 'NOT_FOR_KIDS');
+	t.is(checkVideoEligibility({video, rules, channel: {kids: false}}), null);
+});
+
+test('custom rules can replace a built in rule', t => {
+	const rules = {
+		NO_HTTPS_SOURCE: () => true
+	};
+
+	t.is(checkVideoEligibility({video: videoResponse, sources: httpSources, rules}), null);
+});
+
+test('channels override the required images and turn rules on and off', t => {
+	const client = new Client({
+		requiredImages: ['poster'],
+		namedEligibilityRules: {
+			MATURE_CONTENT: video => video.tags.indexOf('mature') === -1
+		}
+	});
+
+	const bus = {broadcast: () => {}};
+	const mature = Object.assign({}, videoResponse, {id: 'mature', tags: ['mature']});
+	const posterless = Object.assign({}, videoResponse, {id: 'posterless', images: {}});
+	const pending = Object.assign({}, videoResponse, {id: 'pending', state: 'PENDING'});
+	const videos = [videoResponse, mature, posterless, pending];
+
+	const kids = {
+		id: 'kids',
+		features: {brightcove: {eligibilityRules: {MATURE_CONTENT: true}}}
+	};
+
+	const preview = {
+		id: 'preview',
+		features: {brightcove: {requiredImages: [], eligibilityRules: {VIDEO_INACTIVE: false}}}
+	};
+
+	const ids = channel => {
+		return filterEligibleVideos({bus, client, channel, spec: {}, videos}).map(video => video.id);
+	};
+
+	t.deepEqual(ids({id: 'plain'}), [videoResponse.id, 'mature']);
+	t.deepEqual(ids(kids), [videoResponse.id]);
+	t.deepEqual(ids(preview), [videoResponse.id, 'mature', 'posterless', 'pending']);
+});
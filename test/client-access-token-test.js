@@ -0,0 +1,190 @@
+'use strict';
+
+const Promise = require('bluebird');
+const test = require('ava');
+const nock = require('nock');
+
+const Client = require('../lib/client');
+const accessTokenResponse = require('./fixtures/get-access-token-response');
+const videoResponse = require('./fixtures/get-video-response');
+
+const clientId = 'fake-client-id';
+const clientSecret = 'fake-client-secret';
+const accountId = 'fake-account-id';
+
+const basicAuth = Buffer.from(`${clientId}:${clientSecret}`);
+const oauthAuthHeader = `Basic ${basicAuth.toString('base64')}`;
+const cmsAuthHeader = `Bearer ${accessTokenResponse.access_token}`;
+
+const refreshedTokenResponse = Object.assign({}, accessTokenResponse, {
+	access_token: 'refreshed-access-token' // eslint-disable-line camelcase
+});
+
+let client;
+
+test.beforeEach(() => {
+	nock.cleanAll();
+	client = new Client({clientId, clientSecret, accountId});
+});
+
+test.serial('caches the access token between requests', t => {
+	const oauth = nock('https://oauth.brightcove.com/v3', {reqheaders: {authorization: oauthAuthHeader}})
+		.post('/access_token?grant_type=client_credentials')
+		.once()
+		.reply(200, accessTokenResponse);
+
+	const cms = nock('https://cms.api.brightcove.com/v1', {reqheaders: {authorization: cmsAuthHeader}})
+		.get(`/accounts/${accountId}/videos/${videoResponse.id}/sources`)
+		.times(2)
+		.reply(200, []);
+
+	const videoId = videoResponse.id;
+
+	return client.getVideoSources({videoId})
+		.then(() => client.getVideoSources({videoId}))
+		.then(() => {
+			t.true(oauth.isDone());
+			t.true(cms.isDone());
+		});
+});
+
+test.serial('concurrent callers share one access token request', t => {
+	const oauth = nock('https://oauth.brightcove.com/v3')
+		.post('/access_token?grant_type=client_credentials')
+		.once()
+		.reply(200, accessTokenResponse);
+
+	return Promise.all([
+		client.getAccessToken(),
+		client.getAccessToken(),
+		client.getAccessToken()
+	]).then(results => {
+		t.true(oauth.isDone());
+		results.forEach(res => {
+			t.is(res.access_token, accessTokenResponse.access_token);
+		});
+	});
+});
+
+test.serial('caches access tokens per clientId and clientSecret', t => {
+	const oauth = nock('https://oauth.brightcove.com/v3')
+		.post('/access_token?grant_type=client_credentials')
+		.times(2)
+		.reply(200, accessTokenResponse);
+
+	return client.getAccessToken()
+		.then(() => client.getAccessToken({clientId: 'other-client-id', clientSecret: 'other-client-secret'}))
+		.then(() => client.getAccessToken())
+		.then(() => {
+			t.true(oauth.isDone());
+		});
+});
+
+test.serial('requests a new access token when the cached one is about to expire', t => {
+	const oauth = nock('https://oauth.brightcove.com/v3')
+		.post('/access_token?grant_type=client_credentials')
+		.reply(200, Object.assign({}, accessTokenResponse, {expires_in: 10})) // eslint-disable-line camelcase
+		.post('/access_token?grant_type=client_credentials')
+		.reply(200, refreshedTokenResponse);
+
+	return client.getAccessToken()
+		.then(() => client.getAccessToken())
+		.then(res => {
+			t.true(oauth.isDone());
+			t.is(res.access_token, refreshedTokenResponse.access_token);
+		});
+});
+
+test.serial('does not cache a failed access token request', t => {
+	const oauth = nock('https://oauth.brightcove.com/v3')
+		.post('/access_token?grant_type=client_credentials')
+		.reply(400, {})
+		.post('/access_token?grant_type=client_credentials')
+		.reply(200, accessTokenResponse);
+
+	return client.getAccessToken()
+		.then(() => t.fail('expected a rejection'))
+		.catch(err => {
+			t.is(err.statusCode, 400);
+			return client.getAccessToken();
+		})
+		.then(res => {
+			t.true(oauth.isDone());
+			t.is(res.access_token, accessTokenResponse.access_token);
+		});
+});
+
+test.serial('invalidates the access token and retries once on 401', t => {
+	const oauth = nock('https://oauth.brightcove.com/v3')
+		.post('/access_token?grant_type=client_credentials')
+		.reply(200, accessTokenResponse)
+		.post('/access_token?grant_type=client_credentials')
+		.reply(200, refreshedTokenResponse);
+
+	const unauthorized = nock('https://cms.api.brightcove.com/v1', {reqheaders: {authorization: cmsAuthHeader}})
+		.get(`/accounts/${accountId}/videos/${videoResponse.id}/sources`)
+		.reply(401, [{error_code: 'UNAUTHORIZED'}]); // eslint-disable-line camelcase
+
+	const authorized = nock('https://cms.api.brightcove.com/v1', {reqheaders: {authorization: `Bearer ${refreshedTokenResponse.access_token}`}})
+		.get(`/accounts/${accountId}/videos/${videoResponse.id}/sources`)
+		.reply(200, []);
+
+	return client.getVideoSources({videoId: videoResponse.id}).then(res => {
+		t.true(oauth.isDone());
+		t.true(unauthorized.isDone());
+		t.true(authorized.isDone());
+		t.deepEqual(res, []);
+	});
+});
+
+test.serial('concurrent requests which get a 401 share one access token refresh', t => {
+	const tokens = [accessTokenResponse, refreshedTokenResponse];
+	let tokenRequests = 0;
+
+	nock('https://oauth.brightcove.com/v3')
+		.post('/access_token?grant_type=client_credentials')
+		.times(3)
+		.reply(() => {
+			tokenRequests += 1;
+			return [200, tokens[Math.min(tokenRequests, tokens.length) - 1]];
+		});
+
+	const unauthorized = nock('https://cms.api.brightcove.com/v1', {reqheaders: {authorization: cmsAuthHeader}})
+		.get(`/accounts/${accountId}/videos/${videoResponse.id}/sources`)
+		.times(5)
+		.reply(401, [{error_code: 'UNAUTHORIZED'}]); // eslint-disable-line camelcase
+
+	const authorized = nock('https://cms.api.brightcove.com/v1', {reqheaders: {authorization: `Bearer ${refreshedTokenResponse.access_token}`}})
+		.get(`/accounts/${accountId}/videos/${videoResponse.id}/sources`)
+		.times(5)
+		.reply(200, []);
+
+	const requests = [1, 2, 3, 4, 5].map(() => client.getVideoSources({videoId: videoResponse.id}));
+
+	return Promise.all(requests).then(() => {
+		t.true(unauthorized.isDone());
+		t.true(authorized.isDone());
+		t.is(tokenRequests, 2);
+	});
+});
+
+test.serial('does not retry when the access token request responds with 401', t => {
+	const oauth = nock('https://oauth.brightcove.com/v3')
+		.post('/access_token?grant_type=client_credentials')
+		.once()
+		.reply(401, {error: 'invalid_client'});
+
+	const cms = nock('https://cms.api.brightcove.com/v1')
+		.get(`/accounts/${accountId}/videos/${videoResponse.id}/sources`)
+		.reply(200, []);
+
+	return client.getVideoSources({videoId: videoResponse.id})
+		.then(() => t.fail('expected a rejection'))
+		.catch(err => {
+			t.is(err.statusCode, 401);
+			t.true(oauth.isDone());
+			t.false(cms.isDone());
+			// a second token request would not be mocked
+			t.is(nock.pendingMocks().length, 1);
+		});
+});
@@ -0,0 +1,96 @@
+'use strict';
+
+const test = require('ava');
+const nock = require('nock');
+
+const Client = require('../lib/client');
+const accessTokenResponse = require('./fixtures/get-access-token-response');
+const playlistsResponse = require('./fixtures/get-playlists-response');
+const videosByPlaylistResponse = require('./fixtures/get-videos-by-playlist-response');
+
+const clientId = 'fake-client-id';
+const clientSecret = 'fake-client-secret';
+const accountId = 'fake-account-id';
+
+let client;
+
+test.beforeEach(() => {
+	nock.cleanAll();
+
+	nock('https://oauth.brightcove.com/v3')
+		.post('/access_token?grant_type=client_credentials')
+		.reply(200, accessTokenResponse);
+
+	client = new Client({clientId, clientSecret, accountId, requestsPerSecondLimit: 0});
+});
+
+test.serial('getAllVideos() fetches every page', t => {
+	const cms = nock('https://cms.api.brightcove.com/v1')
+		.get(`/accounts/${accountId}/counts/videos`)
+		.query({q: 'tags:featured'})
+		.reply(200, {count: 4})
+		.get(`/accounts/${accountId}/videos`)
+		.query({q: 'tags:featured', limit: 3, offset: 0})
+		.reply(200, videosByPlaylistResponse.slice(0, 3))
+		.get(`/accounts/${accountId}/videos`)
+		.query({q: 'tags:featured', limit: 3, offset: 3})
+		.reply(200, videosByPlaylistResponse.slice(3));
+
+	return client.getAllVideos({query: {q: 'tags:featured', limit: 1}, pageSize: 3}).then(videos => {
+		t.true(cms.isDone());
+		// V444444444444 is not scheduled
+		t.deepEqual(videos.map(video => video.id), [
+			'V111111111111',
+			'V222222222222',
+			'V333333333333'
+		]);
+	});
+});
+
+test.serial('getAllPlaylists() fetches every page', t => {
+	const cms = nock('https://cms.api.brightcove.com/v1')
+		.get(`/accounts/${accountId}/counts/playlists`)
+		.reply(200, {count: 13})
+		.get(`/accounts/${accountId}/playlists`)
+		.query({limit: 10, offset: 0})
+		.reply(200, playlistsResponse.slice(0, 10))
+		.get(`/accounts/${accountId}/playlists`)
+		.query({limit: 10, offset: 10})
+		.reply(200, playlistsResponse.slice(10));
+
+	return client.getAllPlaylists({pageSize: 10}).then(playlists => {
+		t.true(cms.isDone());
+		t.is(playlists.length, playlistsResponse.length);
+	});
+});
+
+test.serial('getAllVideosByPlaylist() filters unscheduled videos and sorts all pages', t => {
+	const cms = nock('https://cms.api.brightcove.com/v1')
+		.get(`/accounts/${accountId}/counts/playlists/0000000000000/videos`)
+		.reply(200, {count: 4})
+		.get(`/accounts/${accountId}/playlists/0000000000000/videos`)
+		.query({limit: 3, offset: 0})
+		.reply(200, videosByPlaylistResponse.slice(0, 3))
+		.get(`/accounts/${accountId}/playlists/0000000000000/videos`)
+		.query({limit: 3, offset: 3})
+		.reply(200, videosByPlaylistResponse.slice(3));
+
+	return client.getAllVideosByPlaylist({playlistId: '0000000000000', pageSize: 3, sortByReleaseDate: true}).then(videos => {
+		t.true(cms.isDone());
+		t.deepEqual(videos.map(video => video.id), [
+			'V111111111111',
+			'V333333333333',
+			'V222222222222'
+		]);
+	});
+});
+
+test.serial('resolves an empty Array when there is nothing to fetch', t => {
+	nock('https://cms.api.brightcove.com/v1')
+		.get(`/accounts/${accountId}/counts/videos`)
+		.reply(200, {count: 0});
+
+	return client.getAllVideos().then(videos => {
+		t.deepEqual(videos, []);
+	});
+});
@@ -0,0 +1,119 @@
+'use strict';
+
+const test = require('ava');
+const nock = require('nock');
+
+const Client = require('../lib/client');
+const accessTokenResponse = require('./fixtures/get-access-token-response');
+const videoResponse = require('./fixtures/get-video-response');
+
+const clientId = 'fake-client-id';
+const clientSecret = 'fake-client-secret';
+const accountId = 'fake-account-id';
+
+const path = `/accounts/${accountId}/videos/${videoResponse.id}`;
+
+let client;
+
+test.beforeEach(() => {
+	nock.cleanAll();
+
+	nock('https://oauth.brightcove.com/v3')
+		.post('/access_token?grant_type=client_credentials')
+		.reply(200, accessTokenResponse);
+
+	client = new Client({
+		clientId,
+		clientSecret,
+		accountId,
+		skipScheduleCheck: true,
+		maxRetries: 2,
+		retryDelay: 1
+	});
+});
+
+test.serial('retries 5xx responses', t => {
+	const cms = nock('https://cms.api.brightcove.com/v1')
+		.get(path)
+		.reply(503)
+		.get(path)
+		.reply(502)
+		.get(path)
+		.reply(200, videoResponse);
+
+	return client.getVideo({videoId: videoResponse.id}).then(video => {
+		t.true(cms.isDone());
+		t.is(video.id, videoResponse.id);
+	});
+});
+
+test.serial('retries 429 responses after Retry-After', t => {
+	const cms = nock('https://cms.api.brightcove.com/v1')
+		.get(path)
+		.reply(429, [{error_code: 'TOO_MANY_REQUESTS'}], {'Retry-After': '0'}) // eslint-disable-line camelcase
+		.get(path)
+		.reply(200, videoResponse);
+
+	return client.getVideo({videoId: videoResponse.id}).then(video => {
+		t.true(cms.isDone());
+		t.is(video.id, videoResponse.id);
+	});
+});
+
+test.serial('rejects once maxRetries is reached', t => {
+	const cms = nock('https://cms.api.brightcove.com/v1')
+		.get(path)
+		.times(3)
+		.reply(500);
+
+	return client.getVideo({videoId: videoResponse.id})
+		.then(() => t.fail('expected a rejection'))
+		.catch(err => {
+			t.true(cms.isDone());
+			t.is(err.statusCode, 500);
+		});
+});
+
+test.serial('does not retry other client errors', t => {
+	const cms = nock('https://cms.api.brightcove.com/v1')
+		.get(path)
+		.reply(400)
+		.get(path)
+		.reply(200, videoResponse);
+
+	return client.getVideo({videoId: videoResponse.id})
+		.then(() => t.fail('expected a rejection'))
+		.catch(err => {
+			t.false(cms.isDone());
+			t.is(err.statusCode, 400);
+		});
+});
+
+test('getRetryDelay() honors Retry-After', t => {
+	t.is(client.getRetryDelay({retryAfter: 2000}, 0), 2000);
+});
+
+test('getRetryDelay() caps Retry-After at maxRetryDelay', t => {
+	const client = new Client({clientId, clientSecret, accountId, maxRetryDelay: 1000});
+
+	t.is(client.getRetryDelay({retryAfter: 3600000}, 0), 1000);
+});
+
+test('getRetryDelay() backs off exponentially up to maxRetryDelay', t => {
+	const client = new Client({clientId, clientSecret, accountId, retryDelay: 100, maxRetryDelay: 1000});
+
+	const first = client.getRetryDelay({statusCode: 503}, 0);
+	const third = client.getRetryDelay({statusCode: 503}, 2);
+	const capped = client.getRetryDelay({statusCode: 503}, 10);
+
+	t.true(first >= 50 && first <= 100);
+	t.true(third >= 200 && third <= 400);
+	t.true(capped >= 500 && capped <= 1000);
+});
+
+test('Client.parseRetryAfter() parses seconds and HTTP dates', t => {
+	t.is(Client.parseRetryAfter('3'), 3000);
+	t.is(Client.parseRetryAfter(new Date(Date.now() - 1000).toUTCString()), 0);
+	t.is(Client.parseRetryAfter(undefined), null);
+	t.is(Client.parseRetryAfter('soon'), null);
+});
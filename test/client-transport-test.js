@@ -0,0 +1,88 @@
+'use strict';
+
+const Promise = require('bluebird');
+const test = require('ava');
+
+const provider = require('../');
+const accessTokenResponse = require('./fixtures/get-access-token-response');
+const videoResponse = require('./fixtures/get-video-response');
+
+const clientId = 'fake-client-id';
+const clientSecret = 'fake-client-secret';
+const accountId = 'fake-account-id';
+
+const baseUrls = {
+	oauth: 'http://localhost:8080/oauth',
+	cms: 'http://localhost:8080/cms'
+};
+
+const jsonResponse = (statusCode, body) => {
+	return {
+		statusCode,
+		headers: {'content-type': 'application/json'},
+		body: JSON.stringify(body)
+	};
+};
+
+test('sends requests through the transport to the configured base URLs', t => {
+	const requests = [];
+
+	const transport = params => {
+		requests.push(params);
+
+		if (params.url === `${baseUrls.oauth}/access_token`) {
+			return Promise.resolve(jsonResponse(200, accessTokenResponse));
+		}
+
+		return Promise.resolve(jsonResponse(200, videoResponse));
+	};
+
+	const client = provider.createClient({clientId, clientSecret, accountId, baseUrls, transport, skipScheduleCheck: true});
+
+	return client.getVideo({videoId: videoResponse.id}).then(video => {
+		t.is(video.id, videoResponse.id);
+
+		t.is(requests.length, 2);
+		t.is(requests[0].method, 'POST');
+		t.is(requests[0].url, `${baseUrls.oauth}/access_token`);
+		t.deepEqual(requests[0].qs, {grant_type: 'client_credentials'}); // eslint-disable-line camelcase
+
+		t.is(requests[1].method, 'GET');
+		t.is(requests[1].url, `${baseUrls.cms}/accounts/${accountId}/videos/${videoResponse.id}`);
+		t.is(requests[1].headers.authorization, `Bearer ${accessTokenResponse.access_token}`);
+
+		// unset base URLs keep their defaults
+		t.is(client.baseUrls.playback, 'https://edge.api.brightcove.com/playback/v1');
+	});
+});
+
+test('accepts parsed JSON bodies from the transport', t => {
+	const transport = params => {
+		const body = params.method === 'POST' ? accessTokenResponse : [];
+		return Promise.resolve({statusCode: 200, headers: {'content-type': 'application/json'}, body});
+	};
+
+	const client = provider.createClient({clientId, clientSecret, accountId, transport});
+
+	return client.getVideoSources({videoId: videoResponse.id}).then(sources => {
+		t.deepEqual(sources, []);
+	});
+});
+
+test('wraps transport rejections in a BrightcoveError', t => {
+	const transport = () => {
+		const error = new Error('socket hang up');
+		error.code = 'ECONNRESET';
+		return Promise.reject(error);
+	};
+
+	const client = provider.createClient({clientId, clientSecret, accountId, transport, maxRetries: 0});
+
+	return client.getAccessToken()
+		.then(() => t.fail('expected a rejection'))
+		.catch(err => {
+			t.true(err instanceof provider.BrightcoveError);
+			t.is(err.code, 'ECONNRESET');
+			t.true(err.retryable);
+		});
+});
@@ -0,0 +1,107 @@
+'use strict';
+
+const test = require('ava');
+const nock = require('nock');
+
+const Client = require('../lib/client');
+const accessTokenResponse = require('./fixtures/get-access-token-response');
+const videoResponse = require('./fixtures/get-video-response');
+const playlistResponse = require('./fixtures/get-playlist-response');
+
+const clientId = 'fake-client-id';
+const clientSecret = 'fake-client-secret';
+const accountId = 'fake-account-id';
+
+const cmsAuthHeader = `Bearer ${accessTokenResponse.access_token}`;
+
+let client;
+let cms;
+
+test.beforeEach(() => {
+	nock.cleanAll();
+
+	nock('https://oauth.brightcove.com/v3')
+		.post('/access_token?grant_type=client_credentials')
+		.reply(200, accessTokenResponse);
+
+	cms = nock('https://cms.api.brightcove.com/v1', {reqheaders: {authorization: cmsAuthHeader}});
+
+	client = new Client({clientId, clientSecret, accountId, retryDelay: 1});
+});
+
+test.serial('createVideo() POSTs the video', t => {
+	const video = {name: 'New Video', tags: ['sample']};
+	cms.post(`/accounts/${accountId}/videos`, video).reply(201, videoResponse);
+
+	return client.createVideo({video}).then(res => {
+		t.true(cms.isDone());
+		t.is(res.id, videoResponse.id);
+	});
+});
+
+test.serial('createVideo() does not retry a 5xx', t => {
+	const video = {name: 'New Video'};
+	cms.post(`/accounts/${accountId}/videos`, video).reply(503)
+		.post(`/accounts/${accountId}/videos`, video).reply(201, videoResponse);
+
+	return client.createVideo({video})
+		.then(() => t.fail('expected a rejection'))
+		.catch(err => {
+			t.is(err.statusCode, 503);
+			t.false(cms.isDone());
+		});
+});
+
+test.serial('updateVideo() PATCHes the video', t => {
+	const video = {name: 'Renamed', custom_fields: {genre: 'drama'}}; // eslint-disable-line camelcase
+	cms.patch(`/accounts/${accountId}/videos/${videoResponse.id}`, video).reply(200, videoResponse);
+
+	return client.updateVideo({videoId: videoResponse.id, video}).then(res => {
+		t.true(cms.isDone());
+		t.is(res.id, videoResponse.id);
+	});
+});
+
+test.serial('deleteVideo() DELETEs the video', t => {
+	cms.delete(`/accounts/${accountId}/videos/${videoResponse.id}`).reply(204);
+
+	return client.deleteVideo({videoId: videoResponse.id}).then(res => {
+		t.true(cms.isDone());
+		t.deepEqual(res, {});
+	});
+});
+
+test.serial('createPlaylist() POSTs the playlist', t => {
+	const playlist = {name: 'New Playlist', type: 'EXPLICIT'};
+	cms.post(`/accounts/${accountId}/playlists`, playlist).reply(201, playlistResponse);
+
+	return client.createPlaylist({playlist}).then(res => {
+		t.true(cms.isDone());
+		t.is(res.id, playlistResponse.id);
+	});
+});
+
+test.serial('updatePlaylist() PATCHes the playlist', t => {
+	const playlist = {video_ids: ['V333333333333', 'V111111111111']}; // eslint-disable-line camelcase
+	cms.patch(`/accounts/${accountId}/playlists/${playlistResponse.id}`, playlist).reply(200, playlistResponse);
+
+	return client.updatePlaylist({playlistId: playlistResponse.id, playlist}).then(res => {
+		t.true(cms.isDone());
+		t.is(res.id, playlistResponse.id);
+	});
+});
+
+test.serial('deletePlaylist() DELETEs the playlist', t => {
+	cms.delete(`/accounts/${accountId}/playlists/${playlistResponse.id}`).reply(204);
+
+	return client.deletePlaylist({playlistId: playlistResponse.id}).then(res => {
+		t.true(cms.isDone());
+		t.deepEqual(res, {});
+	});
+});
+
+test('write methods require their arguments', t => {
+	t.throws(() => client.createVideo({}), 'A video object is required for createVideo()');
+	t.throws(() => client.updateVideo({video: {}}), 'A videoId string is required for updateVideo()');
+	t.throws(() => client.updatePlaylist({playlistId: '1'}), 'A playlist object is required for updatePlaylist()');
+});
@@ -0,0 +1,116 @@
+'use strict';
+
+const test = require('ava');
+
+const Client = require('../lib/client');
+const createClientRegistry = require('../lib/create-client-registry');
+
+const client = new Client({
+	clientId: 'default-client-id',
+	clientSecret: 'default-client-secret',
+	accountId: 'default-account-id',
+	concurrentRequestLimit: 7,
+	requestsPerSecondLimit: 3
+});
+
+const tenant = secrets => {
+	return {id: 'tenant-channel', secrets: {brightcove: secrets}};
+};
+
+test('uses the default client for channels without credentials', t => {
+	const getClient = createClientRegistry(client);
+
+	t.is(getClient({id: 'plain-channel'}), client);
+	t.is(getClient(tenant({accountId: 'default-account-id'})), client);
+});
+
+test('creates one client per account', t => {
+	const getClient = createClientRegistry(client);
+
+	const a = getClient(tenant({clientId: 'a-id', clientSecret: 'a-secret', accountId: 'a-account'}));
+	const b = getClient(tenant({clientId: 'b-id', clientSecret: 'b-secret', accountId: 'b-account'}));
+
+	t.not(a, client);
+	t.not(a, b);
+	t.not(a._queue, b._queue);
+	t.not(a._queue, client._queue);
+
+	t.is(a.accountId, 'a-account');
+	t.is(a.clientId, 'a-id');
+	t.is(a.clientSecret, 'a-secret');
+	t.is(b.accountId, 'b-account');
+
+	// limits are inherited from the default client
+	t.is(a.concurrentRequestLimit, 7);
+	t.is(a.requestsPerSecondLimit, 3);
+
+	t.is(getClient(tenant({clientId: 'a-id', clientSecret: 'a-secret', accountId: 'a-account'})), a);
+});
+
+test('replaces an account client when its secret changes', t => {
+	const getClient = createClientRegistry(client);
+
+	const before = getClient(tenant({clientId: 'c-id', clientSecret: 'old-secret', accountId: 'c-account'}));
+	const after = getClient(tenant({clientId: 'c-id', clientSecret: 'new-secret', accountId: 'c-account'}));
+
+	t.not(before, after);
+	t.is(after.clientSecret, 'new-secret');
+});
+
+test('shares the default client with channels which only override API keys', t => {
+	const getClient = createClientRegistry(client);
+
+	const view = getClient(tenant({policyKey: 'channel-policy-key', liveApiKey: 'channel-live-key'}));
+
+	t.not(view, client);
+	t.is(view._queue, client._queue);
+	t.is(view._accessTokens, client._accessTokens);
+	t.is(view.accountId, 'default-account-id');
+	t.is(view.policyKey, 'channel-policy-key');
+	t.is(view.liveApiKey, 'channel-live-key');
+	t.is(client.policyKey, null);
+
+	t.is(getClient(tenant({policyKey: 'channel-policy-key', liveApiKey: 'channel-live-key'})), view);
+});
+
+test('shares an account client with channels which override its API keys', t => {
+	const getClient = createClientRegistry(client);
+	const creds = {clientId: 'd-id', clientSecret: 'd-secret', accountId: 'd-account'};
+
+	const account = getClient(tenant(creds));
+	const view = getClient(tenant(Object.assign({policyKey: 'd-policy-key'}, creds)));
+
+	t.not(view, account);
+	t.is(view._queue, account._queue);
+	t.is(view.policyKey, 'd-policy-key');
+	t.is(account.policyKey, null);
+});
+
+test('sends the API keys of a channel view with its requests', t => {
+	const requests = [];
+
+	const transport = params => {
+		requests.push(params);
+		return Promise.resolve({statusCode: 200, headers: {'content-type': 'application/json'}, body: {id: '1'}});
+	};
+
+	const account = new Client({accountId: 'e-account', transport});
+	const view = createClientRegistry(account)(tenant({policyKey: 'e-policy-key', liveApiKey: 'e-live-key'}));
+
+	return Promise.all([
+		view.getPlaybackVideo({videoId: '1'}),
+		view.getLiveJob({jobId: '1'})
+	]).then(() => {
+		t.is(requests.length, 2);
+		const playback = requests.find(params => /edge\.api\.brightcove\.com/.test(params.url));
+		const live = requests.find(params => /api\.bcovlive\.io/.test(params.url));
+
+		t.is(playback.headers['bcov-policy'], 'e-policy-key');
+		t.is(live.headers['x-api-key'], 'e-live-key');
+	});
+});
+
+test('shares one registry per default client', t => {
+	t.is(createClientRegistry(client), createClientRegistry(client));
+	t.not(createClientRegistry(client), createClientRegistry(new Client({})));
+});
@@ -0,0 +1,148 @@
+'use strict';
+
+const Promise = require('bluebird');
+const test = require('ava');
+const nock = require('nock');
+
+const provider = require('../');
+const folderTransform = require('../lib/default-folder-transform');
+const accessTokenResponse = require('./fixtures/get-access-token-response');
+const folderResponse = require('./fixtures/get-folder-response');
+const foldersResponse = require('./fixtures/get-folders-response');
+const videosByPlaylistResponse = require('./fixtures/get-videos-by-playlist-response');
+const helpers = require('./helpers');
+
+const clientId = 'fake-client-id';
+const clientSecret = 'fake-client-secret';
+const accountId = 'fake-account-id';
+
+// mock channel fetching function
+const channelId = 'fake-channel';
+const getChannel = () => {
+	return Promise.resolve({
+		id: channelId,
+		secrets: {
+			brightcove: {
+				clientId,
+				clientSecret,
+				accountId
+			}
+		}
+	});
+};
+const cmsAuthHeader = `Bearer ${accessTokenResponse.access_token}`;
+
+let bus;
+let client;
+let folderHandler = null;
+
+test.beforeEach(() => {
+	nock.cleanAll();
+
+	nock('https://oauth.brightcove.com/v3')
+		.post('/access_token?grant_type=client_credentials')
+		.reply(200, accessTokenResponse);
+
+	bus = helpers.createBus();
+
+	// mock command for creating a video spec
+	bus.commandHandler({role: 'catalog', cmd: 'setItemSpec'}, spec => {
+		return Promise.resolve({type: 'videoSpec', resource: `res-brightcove-video-${spec.video.id}`});
+	});
+
+	client = provider.createClient({clientId, clientSecret, accountId});
+
+	folderHandler = provider.createFolderHandler(bus, getChannel, client, folderTransform);
+});
+
+test.serial('getFolders() lists the folders in the account', t => {
+	const cms = nock('https://cms.api.brightcove.com/v1', {reqheaders: {authorization: cmsAuthHeader}})
+		.get(`/accounts/${accountId}/folders`)
+		.reply(200, foldersResponse);
+
+	return client.getFolders().then(res => {
+		t.true(cms.isDone());
+		t.deepEqual(res, foldersResponse);
+	});
+});
+
+test.serial('getAllVideosByFolder() pages through the folder video_count', t => {
+	const folderId = folderResponse.id;
+
+	const cms = nock('https://cms.api.brightcove.com/v1')
+		.get(`/accounts/${accountId}/folders/${folderId}`)
+		.reply(200, folderResponse)
+		.get(`/accounts/${accountId}/folders/${folderId}/videos`)
+		.query({limit: 2, offset: 0})
+		.reply(200, videosByPlaylistResponse.slice(0, 2))
+		.get(`/accounts/${accountId}/folders/${folderId}/videos`)
+		.query({limit: 2, offset: 2})
+		.reply(200, videosByPlaylistResponse.slice(2));
+
+	return client.getAllVideosByFolder({folderId, pageSize: 2}).then(videos => {
+		t.true(cms.isDone());
+
+		// the unscheduled video is filtered out
+		t.deepEqual(videos.map(video => video.id), [
+			'V111111111111',
+			'V222222222222',
+			'V333333333333'
+		]);
+	});
+});
+
+test.serial('when Brightcove folder not found', t => {
+	const spec = {
+		channel: channelId,
+		type: 'collectionSpec',
+		id: 'spec-brightcove-folder-12345',
+		folder: {id: '12345'}
+	};
+
+	nock('https://cms.api.brightcove.com/v1')
+		.get(`/accounts/${accountId}/folders/12345`)
+		.reply(404);
+
+	const obs = new Promise(resolve => {
+		bus.observe({level: 'error'}, resolve);
+	});
+
+	return folderHandler({spec}).then(() => t.fail('expected a rejection')).catch(err => {
+		return obs.then(event => {
+			t.is(event.code, 'FOLDER_NOT_FOUND');
+			t.deepEqual(event.spec, spec);
+			t.is(event.message, 'folder not found');
+			t.is(err.message, `Folder not found for id "${spec.folder.id}"`);
+		});
+	});
+});
+
+test.serial('when Brightcove folder found', t => {
+	const folderId = folderResponse.id;
+	const spec = {
+		channel: channelId,
+		type: 'collectionSpec',
+		id: `spec-brightcove-folder-${folderId}`,
+		folder: {id: folderId}
+	};
+
+	const cms = nock('https://cms.api.brightcove.com/v1', {reqheaders: {authorization: cmsAuthHeader}})
+		.get(`/accounts/${accountId}/folders/${folderId}`)
+		.reply(200, folderResponse)
+		.get(`/accounts/${accountId}/folders/${folderId}/videos`)
+		.query({limit: 100, offset: 0})
+		.reply(200, videosByPlaylistResponse);
+
+	return folderHandler({spec}).then(res => {
+		t.true(cms.isDone());
+		t.is(res.id, `res-brightcove-folder-${folderId}`);
+		t.is(res.title, folderResponse.name);
+
+		// order by release date desc (newest to oldest)
+		t.deepEqual(res.relationships.entities.data.map(entity => entity.id), [
+			'res-brightcove-video-V111111111111',
+			'res-brightcove-video-V333333333333',
+			'res-brightcove-video-V222222222222'
+		]);
+	});
+});
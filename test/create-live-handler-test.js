@@ -0,0 +1,165 @@
+'use strict';
+
+const Promise = require('bluebird');
+const test = require('ava');
+const nock = require('nock');
+
+const provider = require('../');
+const liveTransform = require('../lib/default-live-transform');
+const liveJobResponse = require('./fixtures/get-live-job-response');
+const liveJobsResponse = require('./fixtures/get-live-jobs-response');
+const helpers = require('./helpers');
+
+const clientId = 'fake-client-id';
+const clientSecret = 'fake-client-secret';
+const accountId = 'fake-account-id';
+const liveApiKey = 'fake-live-api-key';
+
+const job = liveJobResponse.job;
+
+// mock channel fetching function
+const channelId = 'fake-channel';
+const getChannel = () => {
+	return Promise.resolve({id: channelId});
+};
+
+let bus;
+let client;
+let liveHandler = null;
+
+function liveSpec(id) {
+	return {
+		channel: channelId,
+		type: 'videoSpec',
+		id: `spec-brightcove-live-${id}`,
+		live: {id, title: 'Morning News'}
+	};
+}
+
+test.beforeEach(() => {
+	nock.cleanAll();
+
+	bus = helpers.createBus();
+	client = provider.createClient({clientId, clientSecret, accountId, liveApiKey});
+	liveHandler = provider.createLiveHandler(bus, getChannel, client, liveTransform);
+});
+
+test.serial('getLiveJobs() sends the Live API key', t => {
+	const live = nock('https://api.bcovlive.io/v1', {reqheaders: {'x-api-key': liveApiKey}})
+		.get('/jobs')
+		.query({state: 'processing'})
+		.reply(200, liveJobsResponse);
+
+	return client.getLiveJobs({query: {state: 'processing'}}).then(res => {
+		t.true(live.isDone());
+		t.deepEqual(res, liveJobsResponse);
+	});
+});
+
+test.serial('getLivePlaybackUrls() resolves with the job playback URLs', t => {
+	const live = nock('https://api.bcovlive.io/v1', {reqheaders: {'x-api-key': liveApiKey}})
+		.get(`/jobs/${job.id}`)
+		.reply(200, liveJobResponse);
+
+	return client.getLivePlaybackUrls({jobId: job.id}).then(res => {
+		t.true(live.isDone());
+		t.deepEqual(res, {
+			hls: job.playback_url,
+			dvr: job.playback_url_dvr,
+			vod: job.playback_url_vod
+		});
+	});
+});
+
+test.serial('requires a Live API key', t => {
+	const other = provider.createClient({clientId, clientSecret, accountId});
+
+	t.throws(() => other.getLiveJob({jobId: job.id}), /A liveApiKey string is required/);
+});
+
+test.serial('when the live job is found', t => {
+	const spec = liveSpec(job.id);
+
+	const live = nock('https://api.bcovlive.io/v1')
+		.get(`/jobs/${job.id}`)
+		.reply(200, liveJobResponse);
+
+	return liveHandler({spec}).then(res => {
+		t.true(live.isDone());
+		t.is(res.id, `res-brightcove-live-${job.id}`);
+		t.is(res.title, 'Morning News');
+		t.true(res.live);
+		t.is(res.state, 'processing');
+		t.is(res.startsAt, '2025-10-21T12:00:00.000Z');
+		t.is(res.endsAt, '2025-10-21T14:00:00.000Z');
+		t.deepEqual(res.sources.map(source => [source.label, source.url]), [
+			['hls', job.playback_url],
+			['hls-dvr', job.playback_url_dvr]
+		]);
+		t.is(res.sources[0].mimeType, 'application/x-mpegURL');
+	});
+});
+
+test.serial('uses the schedule of a live event', t => {
+	const spec = liveSpec('LJ3333333333');
+	const event = Object.assign({}, job, {
+		id: 'LJ3333333333',
+		state: 'waiting',
+		schedule: {start_time: '2025-10-22T18:00:00.000Z', end_time: '2025-10-22T21:00:00.000Z'} // eslint-disable-line camelcase
+	});
+
+	nock('https://api.bcovlive.io/v1')
+		.get('/jobs/LJ3333333333')
+		.reply(200, {job: event});
+
+	return liveHandler({spec}).then(res => {
+		t.is(res.startsAt, '2025-10-22T18:00:00.000Z');
+		t.is(res.endsAt, '2025-10-22T21:00:00.000Z');
+		t.is(res.releaseDate, '2025-10-22T18:00:00.000Z');
+	});
+});
+
+test.serial('when the live job has ended', t => {
+	const spec = liveSpec('LJ2222222222');
+
+	nock('https://api.bcovlive.io/v1')
+		.get('/jobs/LJ2222222222')
+		.reply(200, {job: liveJobsResponse.jobs[1]});
+
+	const obs = new Promise(resolve => {
+		bus.observe({level: 'error'}, resolve);
+	});
+
+	return liveHandler({spec}).then(() => t.fail('expected a rejection')).catch(err => {
+		return obs.then(event => {
+			t.is(event.code, 'LIVE_JOB_ENDED');
+			t.deepEqual(event.spec, spec);
+			t.is(event.message, 'live job ended');
+			t.is(err.message, 'Live job "LJ2222222222" has ended');
+		});
+	});
+});
+
+test.serial('when the live job is not found', t => {
+	const spec = liveSpec('LJ4444444444');
+
+	nock('https://api.bcovlive.io/v1')
+		.get('/jobs/LJ4444444444')
+		.reply(404);
+
+	const obs = new Promise(resolve => {
+		bus.observe({level: 'error'}, resolve);
+	});
+
+	return liveHandler({spec}).then(() => t.fail('expected a rejection')).catch(err => {
+		return obs.then(event => {
+			t.is(event.code, 'LIVE_JOB_NOT_FOUND');
+			t.is(event.message, 'live job not found');
+			t.is(err.message, 'Live job not found for id "LJ4444444444"');
+		});
+	});
+});
+
+test.serial('requires spec.live.id', t => {
+	t.throws(() => liveHandler({spec: {channel: channelId, type: 'videoSpec'}}), /spec.live.id String is required/);
+});
@@ -151,5 +151,211 @@ test('when Brightcove playlist found', t => {
 			t.is(res.relationships.entities.data[2].id, 'res-brightcove-video-V222222222222');
 			// res-brightcove-video-V444444444444 is not scheduled
 			// t.is(res.relationships.entities.data[1].id, 'res-brightcove-video-V444444444444');
+
+			// artwork comes from the first video in the collection
+			t.true(res.images.length > 0);
+			res.images.forEach(image => {
+				t.regex(image.url, /videoId=V111111111111/);
+			});
 		});
 });
+
+test('when spec.sort is "playlist"', t => {
+	const spec = {
+		channel: channelId,
+		type: 'collectionSpec',
+		id: 'spec-brightcove-playlist-55555',
+		playlist: {id: '55555'},
+		sort: 'playlist'
+	};
+
+	nock('https://oauth.brightcove.com/v3')
+		.post('/access_token?grant_type=client_credentials')
+		.reply(200, accessTokenResponse);
+
+	nock('https://cms.api.brightcove.com/v1')
+		.get(`/accounts/${accountId}/playlists/55555`)
+		.reply(200, Object.assign({}, playlistResponse, {id: '55555'}))
+		.get(`/accounts/${accountId}/playlists/55555/videos`)
+		.reply(200, videosByPlaylistResponse);
+
+	return playlistHandler({spec}).then(res => {
+		// keeps the curated order of the playlist
+		t.deepEqual(res.relationships.entities.data.map(entity => entity.id), [
+			'res-brightcove-video-V111111111111',
+			'res-brightcove-video-V222222222222',
+			'res-brightcove-video-V333333333333'
+		]);
+	});
+});
+
+test('when spec.sort names a custom comparator', t => {
+	const spec = {
+		channel: channelId,
+		type: 'collectionSpec',
+		id: 'spec-brightcove-playlist-66666',
+		playlist: {id: '66666'},
+		sort: '-videoId'
+	};
+
+	const client = provider.createClient({
+		clientId,
+		clientSecret,
+		accountId,
+		sortComparators: {
+			videoId: (a, b) => a.id.localeCompare(b.id)
+		}
+	});
+	const handler = provider.createPlaylistHandler(bus, getChannel, client, collectionTransform);
+
+	nock('https://oauth.brightcove.com/v3')
+		.post('/access_token?grant_type=client_credentials')
+		.reply(200, accessTokenResponse);
+
+	nock('https://cms.api.brightcove.com/v1')
+		.get(`/accounts/${accountId}/playlists/66666`)
+		.reply(200, Object.assign({}, playlistResponse, {id: '66666'}))
+		.get(`/accounts/${accountId}/playlists/66666/videos`)
+		.reply(200, videosByPlaylistResponse);
+
+	return handler({spec}).then(res => {
+		t.deepEqual(res.relationships.entities.data.map(entity => entity.id), [
+			'res-brightcove-video-V333333333333',
+			'res-brightcove-video-V222222222222',
+			'res-brightcove-video-V111111111111'
+		]);
+	});
+});
+
+test('when spec.sort is unknown', t => {
+	const spec = {
+		channel: channelId,
+		type: 'collectionSpec',
+		id: `spec-brightcove-playlist-${playlistResponse.id}`,
+		playlist: {id: playlistResponse.id},
+		sort: 'rating'
+	};
+
+	t.throws(() => playlistHandler({spec}), 'brightcove-playlist-provider spec.sort "rating" is not a known sort');
+});
+
+test('when Brightcove playlist has ineligible videos', t => {
+	const spec = {
+		channel: channelId,
+		type: 'collectionSpec',
+		id: 'spec-brightcove-playlist-77777',
+		playlist: {id: '77777'}
+	};
+
+	const videos = videosByPlaylistResponse.slice();
+	videos[1] = Object.assign({}, videos[1], {state: 'INACTIVE'});
+
+	nock('https://oauth.brightcove.com/v3')
+		.post('/access_token?grant_type=client_credentials')
+		.reply(200, accessTokenResponse);
+
+	nock('https://cms.api.brightcove.com/v1')
+		.get(`/accounts/${accountId}/playlists/77777`)
+		.reply(200, Object.assign({}, playlistResponse, {id: '77777'}))
+		.get(`/accounts/${accountId}/playlists/77777/videos`)
+		.reply(200, videos);
+
+	const obs = new Promise(resolve => {
+		bus.observe({level: 'warn'}, payload => {
+			resolve(payload);
+		});
+	});
+
+	return playlistHandler({spec}).then(res => {
+		t.deepEqual(res.relationships.entities.data.map(entity => entity.id), [
+			'res-brightcove-video-V111111111111',
+			'res-brightcove-video-V333333333333'
+		]);
+
+		return obs.then(event => {
+			t.is(event.code, 'VIDEO_INACTIVE');
+			t.is(event.videoId, 'V222222222222');
+			t.deepEqual(event.spec, spec);
+		});
+	});
+});
+
+test('when the viewer country is geo restricted', t => {
+	const spec = {
+		channel: channelId,
+		type: 'collectionSpec',
+		id: 'spec-brightcove-playlist-88888',
+		playlist: {id: '88888'}
+	};
+
+	const videos = videosByPlaylistResponse.slice();
+	videos[0] = Object.assign({}, videos[0], {
+		geo: {countries: ['us'], exclude_countries: false, restricted: true} // eslint-disable-line camelcase
+	});
+
+	nock('https://oauth.brightcove.com/v3')
+		.post('/access_token?grant_type=client_credentials')
+		.reply(200, accessTokenResponse);
+
+	nock('https://cms.api.brightcove.com/v1')
+		.get(`/accounts/${accountId}/playlists/88888`)
+		.reply(200, Object.assign({}, playlistResponse, {id: '88888'}))
+		.get(`/accounts/${accountId}/playlists/88888/videos`)
+		.reply(200, videos);
+
+	const obs = new Promise(resolve => {
+		bus.observe({level: 'warn'}, payload => {
+			resolve(payload);
+		});
+	});
+
+	return playlistHandler({spec, viewer: {country: 'GB'}}).then(res => {
+		t.deepEqual(res.relationships.entities.data.map(entity => entity.id), [
+			'res-brightcove-video-V333333333333',
+			'res-brightcove-video-V222222222222'
+		]);
+
+		return obs.then(event => {
+			t.is(event.code, 'GEO_RESTRICTED');
+			t.is(event.videoId, 'V111111111111');
+		});
+	});
+});
+
+test('when a locale is requested', t => {
+	const spec = {
+		channel: channelId,
+		type: 'collectionSpec',
+		id: 'spec-brightcove-playlist-99999',
+		playlist: {id: '99999'}
+	};
+
+	const videoSpecs = [];
+	const localBus = helpers.createBus();
+
+	localBus.commandHandler({role: 'catalog', cmd: 'setItemSpec'}, videoSpec => {
+		videoSpecs.push(videoSpec);
+		return Promise.resolve({type: 'videoSpec', resource: `res-brightcove-video-${videoSpec.video.id}`});
+	});
+
+	const client = provider.createClient({clientId, clientSecret, accountId});
+	const handler = provider.createPlaylistHandler(localBus, getChannel, client, collectionTransform);
+
+	nock('https://oauth.brightcove.com/v3')
+		.post('/access_token?grant_type=client_credentials')
+		.reply(200, accessTokenResponse);
+
+	nock('https://cms.api.brightcove.com/v1')
+		.get(`/accounts/${accountId}/playlists/99999`)
+		.reply(200, Object.assign({}, playlistResponse, {id: '99999'}))
+		.get(`/accounts/${accountId}/playlists/99999/videos`)
+		.reply(200, videosByPlaylistResponse);
+
+	return handler({spec, locale: 'es'}).then(() => {
+		// the videos are localized when they are fetched
+		t.is(videoSpecs.length, 3);
+		videoSpecs.forEach(videoSpec => {
+			t.is(videoSpec.locale, 'es');
+		});
+	});
+});
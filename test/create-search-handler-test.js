@@ -0,0 +1,174 @@
+'use strict';
+
+const Promise = require('bluebird');
+const _ = require('lodash');
+const test = require('ava');
+const nock = require('nock');
+
+const provider = require('../');
+const searchTransform = require('../lib/default-search-transform');
+const accessTokenResponse = require('./fixtures/get-access-token-response');
+const videosByPlaylistResponse = require('./fixtures/get-videos-by-playlist-response');
+const helpers = require('./helpers');
+
+const clientId = 'fake-client-id';
+const clientSecret = 'fake-client-secret';
+const accountId = 'fake-account-id';
+
+// mock channel fetching function
+const channelId = 'fake-channel';
+const getChannel = () => {
+	return Promise.resolve({
+		id: channelId,
+		secrets: {
+			brightcove: {
+				clientId,
+				clientSecret,
+				accountId
+			}
+		}
+	});
+};
+const cmsAuthHeader = `Bearer ${accessTokenResponse.access_token}`;
+
+let bus;
+let searchHandler = null;
+
+test.beforeEach(() => {
+	nock.cleanAll();
+
+	nock('https://oauth.brightcove.com/v3')
+		.post('/access_token?grant_type=client_credentials')
+		.reply(200, accessTokenResponse);
+
+	bus = helpers.createBus();
+
+	// mock command for creating a video spec
+	bus.commandHandler({role: 'catalog', cmd: 'setItemSpec'}, spec => {
+		return Promise.resolve({type: 'videoSpec', resource: `res-brightcove-video-${spec.video.id}`});
+	});
+
+	const client = provider.createClient({
+		clientId: 'foo',
+		clientSecret: 'foo',
+		accountId: 'foo'
+	});
+
+	searchHandler = provider.createSearchHandler(bus, getChannel, client, searchTransform);
+});
+
+test.serial('requires spec.search.q', t => {
+	const spec = {
+		channel: channelId,
+		type: 'collectionSpec',
+		id: 'spec-brightcove-search-news',
+		search: {}
+	};
+
+	t.throws(() => searchHandler({spec}), 'brightcove-search-provider spec.search.q String is required');
+});
+
+test.serial('creates a collection of the videos matching the search', t => {
+	const spec = {
+		channel: channelId,
+		type: 'collectionSpec',
+		id: 'spec-brightcove-search-news',
+		search: {q: 'tags:news', sort: '-published_at', limit: 10, title: 'News'}
+	};
+
+	const cms = nock('https://cms.api.brightcove.com/v1', {reqheaders: {authorization: cmsAuthHeader}})
+		.get(`/accounts/${accountId}/videos`)
+		.query({q: 'tags:news', sort: '-published_at', limit: 10})
+		.reply(200, videosByPlaylistResponse);
+
+	return searchHandler({spec}).then(res => {
+		t.true(cms.isDone());
+		t.is(res.id, 'res-brightcove-search-news');
+		t.is(res.title, 'News');
+
+		// keeps the order of the search results, without unscheduled videos
+		t.deepEqual(res.relationships.entities.data, [
+			{id: 'res-brightcove-video-V111111111111', type: 'video'},
+			{id: 'res-brightcove-video-V222222222222', type: 'video'},
+			{id: 'res-brightcove-video-V333333333333', type: 'video'}
+		]);
+	});
+});
+
+test.serial('pages through the results when the limit is over one page', t => {
+	const spec = {
+		channel: channelId,
+		type: 'collectionSpec',
+		id: 'spec-brightcove-search-news',
+		search: {q: 'tags:news', limit: 150}
+	};
+
+	const cms = nock('https://cms.api.brightcove.com/v1', {reqheaders: {authorization: cmsAuthHeader}})
+		.get(`/accounts/${accountId}/counts/videos`)
+		.query({q: 'tags:news'})
+		.reply(200, {count: 4})
+		.get(`/accounts/${accountId}/videos`)
+		.query({q: 'tags:news', limit: 100, offset: 0})
+		.reply(200, videosByPlaylistResponse);
+
+	return searchHandler({spec}).then(res => {
+		t.true(cms.isDone());
+		t.is(res.relationships.entities.data.length, 3);
+	});
+});
+
+test.serial('only fetches the pages the limit needs', t => {
+	const spec = {
+		channel: channelId,
+		type: 'collectionSpec',
+		id: 'spec-brightcove-search-featured',
+		search: {q: 'tags:featured', limit: 150}
+	};
+
+	const page = offset => _.range(100).map(index => {
+		return Object.assign({}, videosByPlaylistResponse[0], {id: `V${offset + index}`});
+	});
+
+	// a request for any other page is not mocked, and fails the search
+	const cms = nock('https://cms.api.brightcove.com/v1')
+		.get(`/accounts/${accountId}/counts/videos`)
+		.query({q: 'tags:featured'})
+		.reply(200, {count: 5000})
+		.get(`/accounts/${accountId}/videos`)
+		.query({q: 'tags:featured', limit: 100, offset: 0})
+		.reply(200, page(0))
+		.get(`/accounts/${accountId}/videos`)
+		.query({q: 'tags:featured', limit: 100, offset: 100})
+		.reply(200, page(100));
+
+	return searchHandler({spec}).then(res => {
+		t.true(cms.isDone());
+		t.is(res.relationships.entities.data.length, 150);
+	});
+});
+
+test.serial('broadcasts Brightcove API errors', t => {
+	const spec = {
+		channel: channelId,
+		type: 'collectionSpec',
+		id: 'spec-brightcove-search-news',
+		search: {q: 'tags:news', limit: 10}
+	};
+
+	nock('https://cms.api.brightcove.com/v1')
+		.get(`/accounts/${accountId}/videos`)
+		.query(true)
+		.reply(400, [{error_code: 'ILLEGAL_QUERY', message: 'bad search'}]); // eslint-disable-line camelcase
+
+	const obs = new Promise(resolve => {
+		bus.observe({level: 'error'}, resolve);
+	});
+
+	return searchHandler({spec}).then(() => t.fail('expected a rejection')).catch(err => {
+		return obs.then(event => {
+			t.is(err.code, 'ILLEGAL_QUERY');
+			t.is(event.code, 'ILLEGAL_QUERY');
+			t.deepEqual(event.spec, spec);
+		});
+	});
+});
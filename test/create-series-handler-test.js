@@ -0,0 +1,151 @@
+'use strict';
+
+const Promise = require('bluebird');
+const test = require('ava');
+const nock = require('nock');
+
+const provider = require('../');
+const seriesTransform = require('../lib/default-series-transform');
+const accessTokenResponse = require('./fixtures/get-access-token-response');
+const videosBySeriesResponse = require('./fixtures/get-videos-by-series-response');
+const helpers = require('./helpers');
+
+const clientId = 'fake-client-id';
+const clientSecret = 'fake-client-secret';
+const accountId = 'fake-account-id';
+
+// mock channel fetching function
+const channelId = 'fake-channel';
+const getChannel = () => {
+	return Promise.resolve({
+		id: channelId,
+		secrets: {
+			brightcove: {
+				clientId,
+				clientSecret,
+				accountId
+			}
+		}
+	});
+};
+
+let bus;
+let specs;
+let seriesHandler = null;
+
+function mockSearch(q) {
+	return nock('https://cms.api.brightcove.com/v1')
+		.get(`/accounts/${accountId}/counts/videos`)
+		.query({q})
+		.reply(200, {count: videosBySeriesResponse.length})
+		.get(`/accounts/${accountId}/videos`)
+		.query({q, limit: 100, offset: 0})
+		.reply(200, videosBySeriesResponse);
+}
+
+test.beforeEach(() => {
+	nock.cleanAll();
+
+	nock('https://oauth.brightcove.com/v3')
+		.post('/access_token?grant_type=client_credentials')
+		.reply(200, accessTokenResponse);
+
+	bus = helpers.createBus();
+	specs = [];
+
+	// mock command for creating video and collection specs
+	bus.commandHandler({role: 'catalog', cmd: 'setItemSpec'}, spec => {
+		specs.push(spec);
+		return Promise.resolve({type: spec.type, resource: spec.id.replace(/^spec-/, 'res-')});
+	});
+
+	const client = provider.createClient({clientId, clientSecret, accountId});
+
+	seriesHandler = provider.createSeriesHandler(bus, getChannel, client, seriesTransform);
+});
+
+test.serial('requires spec.series.name', t => {
+	const spec = {
+		channel: channelId,
+		type: 'collectionSpec',
+		id: 'spec-brightcove-series-the-show',
+		series: {}
+	};
+
+	t.throws(() => seriesHandler({spec}), 'brightcove-series-provider spec.series.name String is required');
+});
+
+test.serial('builds season collections from the series custom fields', t => {
+	const spec = {
+		channel: channelId,
+		type: 'collectionSpec',
+		id: 'spec-brightcove-series-the-show',
+		series: {name: 'The Show'}
+	};
+
+	const cms = mockSearch('+series:"The Show"');
+
+	return seriesHandler({spec}).then(res => {
+		t.true(cms.isDone());
+		t.is(res.id, 'res-brightcove-series-the-show');
+		t.is(res.title, 'The Show');
+
+		t.deepEqual(res.relationships.entities.data, [
+			{id: 'res-brightcove-series-the-show-season-1', type: 'collection'},
+			{id: 'res-brightcove-series-the-show-season-2', type: 'collection'}
+		]);
+
+		const seasonSpec = specs.find(spec => spec.id === 'spec-brightcove-series-the-show-season-1');
+		t.is(seasonSpec.source, 'brightcove-series');
+		t.is(seasonSpec.series.id, 'the-show');
+		t.deepEqual(seasonSpec.season, {number: 1});
+
+		// episodes of other series and videos without a season are left out
+		t.deepEqual(specs.filter(spec => spec.type === 'videoSpec').map(spec => spec.video.id).sort(), [
+			'V100000000001',
+			'V100000000002',
+			'V100000000003',
+			'V200000000001'
+		]);
+	});
+});
+
+test.serial('orders the episodes of a season by episode number', t => {
+	const spec = {
+		channel: channelId,
+		type: 'collectionSpec',
+		id: 'spec-brightcove-series-the-show-season-1',
+		series: {id: 'the-show', name: 'The Show'},
+		season: {number: 1}
+	};
+
+	const cms = mockSearch('+series:"The Show" +season_number:"1"');
+
+	return seriesHandler({spec}).then(res => {
+		t.true(cms.isDone());
+		t.is(res.id, 'res-brightcove-series-the-show-season-1');
+		t.is(res.title, 'The Show Season 1');
+
+		t.deepEqual(res.relationships.entities.data.map(entity => entity.id), [
+			'res-brightcove-video-V100000000001',
+			'res-brightcove-video-V100000000002',
+			'res-brightcove-video-V100000000003'
+		]);
+	});
+});
+
+test.serial('reads custom field names from spec.series.fields', t => {
+	const spec = {
+		channel: channelId,
+		type: 'collectionSpec',
+		id: 'spec-brightcove-series-the-show',
+		series: {name: 'The Show', fields: {series: 'show'}}
+	};
+
+	const cms = mockSearch('+show:"The Show"');
+
+	return seriesHandler({spec}).then(res => {
+		t.true(cms.isDone());
+		t.deepEqual(res.relationships.entities.data, []);
+	});
+});
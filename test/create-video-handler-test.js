@@ -10,6 +10,8 @@ const videoTransform = require('../lib/default-video-transform');
 const videoResponse = require('./fixtures/get-video-response');
 const videoScheduledResponse = require('./fixtures/get-video-scheduled-response');
 const videoSourcesResponse = require('./fixtures/get-video-sources-response');
+const videoVariantsResponse = require('./fixtures/get-video-variants-response');
+const videosByPlaylistResponse = require('./fixtures/get-videos-by-playlist-response');
 const accessTokenResponse = require('./fixtures/get-access-token-response');
 const helpers = require('./helpers');
 
@@ -103,6 +105,16 @@ test.before(() => {
 		})
 		.get(`/accounts/${accountId}/videos/12345`)
 		.reply(404, videoResponse);
+
+	nock(
+		'https://cms.api.brightcove.com/v1',
+		{
+			reqheaders: {
+				authorization: cmsAuthHeader
+			}
+		})
+		.get(`/accounts/${accountId}/videos/403403`)
+		.reply(403, [{error_code: 'NOT_AVAILABLE', message: 'video is not available'}]); // eslint-disable-line camelcase
 });
 
 test.beforeEach(() => {
@@ -146,6 +158,40 @@ test('when Brightcove video not found', t => {
 	});
 });
 
+test('when Brightcove responds with an error', t => {
+	const spec = {
+		channel,
+		type,
+		id: 'spec-brightcove-video-403403',
+		video: {id: '403403'}
+	};
+
+	const obs = new Promise(resolve => {
+		bus.observe({level: 'error'}, payload => {
+			resolve(payload);
+		});
+	});
+
+	return videoHandler({spec}).catch(err => {
+		return obs.then(event => {
+			// test bus event
+			t.is(event.code, 'NOT_AVAILABLE');
+			t.is(event.error.statusCode, 403);
+			t.is(event.error.errorCode, 'NOT_AVAILABLE');
+			t.deepEqual(event.spec, spec);
+
+			// test video handler rejection
+			t.true(err instanceof provider.BrightcoveError);
+			t.is(err.statusCode, 403);
+			t.is(err.method, 'GET');
+			t.is(err.url, `https://cms.api.brightcove.com/v1/accounts/${accountId}/videos/403403`);
+			t.is(err.errorCode, 'NOT_AVAILABLE');
+			t.is(err.brightcoveMessage, 'video is not available');
+			t.false(err.retryable);
+		});
+	});
+});
+
 test('when Brightcove video not scheduled', t => {
 	const spec = {
 		channel,
@@ -194,8 +240,12 @@ test('when Brihgtcove video not scheduled, but skipScheduleCheck === true', t =>
 				'description',
 				'images',
 				'sources',
+				'textTracks',
 				'duration',
-				'releaseDate'
+				'releaseDate',
+				'geo',
+				'cuePoints',
+				'adBreaks'
 			]);
 
 			t.is(res.id, `res-brightcove-video-${videoScheduledResponse.id}`);
@@ -261,8 +311,12 @@ test('when Brightcove video found', t => {
 				'description',
 				'images',
 				'sources',
+				'textTracks',
 				'duration',
-				'releaseDate'
+				'releaseDate',
+				'geo',
+				'cuePoints',
+				'adBreaks'
 			]);
 
 			t.is(res.id, `res-brightcove-video-${videoResponse.id}`);
@@ -308,3 +362,200 @@ test('when Brightcove video found', t => {
 			t.is(res.releaseDate, videoResponse.published_at);
 		});
 });
+
+test('when Brightcove video is not eligible', t => {
+	const spec = {
+		channel,
+		type,
+		id: 'spec-brightcove-video-777777',
+		video: {id: '777777'}
+	};
+
+	nock('https://oauth.brightcove.com/v3')
+		.post('/access_token?grant_type=client_credentials')
+		.reply(200, accessTokenResponse);
+
+	nock('https://cms.api.brightcove.com/v1')
+		.get(`/accounts/${accountId}/videos/777777`)
+		.reply(200, Object.assign({}, videoResponse, {id: '777777', complete: false}))
+		.get(`/accounts/${accountId}/videos/777777/sources`)
+		.reply(200, videoSourcesResponse);
+
+	const obs = new Promise(resolve => {
+		bus.observe({level: 'error'}, payload => {
+			resolve(payload);
+		});
+	});
+
+	return videoHandler({spec}).then(() => t.fail('expected a rejection')).catch(err => {
+		return obs.then(event => {
+			t.is(event.code, 'VIDEO_INCOMPLETE');
+			t.is(event.message, 'video not eligible');
+			t.deepEqual(event.spec, spec);
+
+			t.is(err.code, 'VIDEO_INCOMPLETE');
+			t.is(err.message, 'Video "777777" is not eligible: VIDEO_INCOMPLETE');
+		});
+	});
+});
+
+test('when Brightcove video is geo restricted for the viewer', t => {
+	const spec = {
+		channel,
+		type,
+		id: 'spec-brightcove-video-888888',
+		video: {id: '888888'}
+	};
+
+	const geo = {countries: ['us'], exclude_countries: false, restricted: true}; // eslint-disable-line camelcase
+
+	nock('https://oauth.brightcove.com/v3')
+		.post('/access_token?grant_type=client_credentials')
+		.reply(200, accessTokenResponse);
+
+	nock('https://cms.api.brightcove.com/v1')
+		.get(`/accounts/${accountId}/videos/888888`)
+		.reply(200, Object.assign({}, videoResponse, {id: '888888', geo}))
+		.get(`/accounts/${accountId}/videos/888888/sources`)
+		.reply(200, videoSourcesResponse);
+
+	return videoHandler({spec, viewer: {country: 'fr'}}).then(res => {
+		t.deepEqual(res.geo, {
+			restricted: true,
+			countries: ['us'],
+			excludeCountries: false,
+			allowed: false
+		});
+	});
+});
+
+test('when a locale is requested', t => {
+	const spec = {
+		channel,
+		type,
+		id: 'spec-brightcove-video-777777',
+		video: {id: '777777'},
+		locale: 'es-MX'
+	};
+
+	nock('https://oauth.brightcove.com/v3')
+		.post('/access_token?grant_type=client_credentials')
+		.times(3)
+		.reply(200, accessTokenResponse);
+
+	const cms = nock('https://cms.api.brightcove.com/v1')
+		.get(`/accounts/${accountId}/videos/777777`)
+		.reply(200, Object.assign({}, videoResponse, {id: '777777'}))
+		.get(`/accounts/${accountId}/videos/777777/sources`)
+		.reply(200, videoSourcesResponse)
+		.get(`/accounts/${accountId}/videos/777777/variants`)
+		.reply(200, videoVariantsResponse);
+
+	return videoHandler({spec}).then(res => {
+		t.true(cms.isDone());
+
+		// es-MX falls back to es
+		t.is(res.locale, 'es');
+		t.deepEqual(res.locales, ['es', 'fr-CA']);
+		t.is(res.title, 'Video de muestra');
+		t.is(res.description, 'Una descripción larga');
+	});
+});
+
+test('when related videos are requested', t => {
+	const spec = {
+		channel,
+		type,
+		id: 'spec-brightcove-video-666666',
+		video: {id: '666666'},
+		related: {limit: 3}
+	};
+
+	const video = Object.assign({}, videoResponse, {
+		id: '666666',
+		custom_fields: {series: 'The Show'} // eslint-disable-line camelcase
+	});
+
+	const videoSpecs = [];
+	const localBus = helpers.createBus();
+
+	localBus.commandHandler({role: 'catalog', cmd: 'setItemSpec'}, videoSpec => {
+		videoSpecs.push(videoSpec);
+		return Promise.resolve({type: 'videoSpec', resource: `res-brightcove-video-${videoSpec.video.id}`});
+	});
+
+	const client = provider.createClient({clientId, clientSecret, accountId});
+	const handler = provider.createVideoHandler(localBus, getChannel, client, videoTransform);
+
+	nock('https://oauth.brightcove.com/v3')
+		.post('/access_token?grant_type=client_credentials')
+		.times(3)
+		.reply(200, accessTokenResponse);
+
+	const cms = nock('https://cms.api.brightcove.com/v1')
+		.get(`/accounts/${accountId}/videos/666666`)
+		.reply(200, video)
+		.get(`/accounts/${accountId}/videos/666666/sources`)
+		.reply(200, videoSourcesResponse)
+		.get(`/accounts/${accountId}/videos`)
+		.query({q: 'tags:"sample" series:"The Show"', limit: 4})
+		.reply(200, [video].concat(videosByPlaylistResponse));
+
+	return handler({spec}).then(res => {
+		t.true(cms.isDone());
+
+		// leaves out the video itself and the unscheduled V444444444444
+		t.deepEqual(res.relationships.related.data, [
+			{id: 'res-brightcove-video-V111111111111', type: 'video'},
+			{id: 'res-brightcove-video-V222222222222', type: 'video'},
+			{id: 'res-brightcove-video-V333333333333', type: 'video'}
+		]);
+		t.is(videoSpecs.length, 3);
+		videoSpecs.forEach(videoSpec => {
+			t.is(videoSpec.source, 'brightcove-video');
+		});
+	});
+});
+
+test('when related videos can not be fetched', t => {
+	const spec = {
+		channel,
+		type,
+		id: 'spec-brightcove-video-555555',
+		video: {id: '555555'},
+		related: true
+	};
+
+	const localBus = helpers.createBus();
+	const client = provider.createClient({clientId, clientSecret, accountId});
+	const handler = provider.createVideoHandler(localBus, getChannel, client, videoTransform);
+
+	nock('https://oauth.brightcove.com/v3')
+		.post('/access_token?grant_type=client_credentials')
+		.times(3)
+		.reply(200, accessTokenResponse);
+
+	const cms = nock('https://cms.api.brightcove.com/v1')
+		.get(`/accounts/${accountId}/videos/555555`)
+		.reply(200, Object.assign({}, videoResponse, {id: '555555'}))
+		.get(`/accounts/${accountId}/videos/555555/sources`)
+		.reply(200, videoSourcesResponse)
+		.get(`/accounts/${accountId}/videos`)
+		.query({q: 'tags:"sample"', limit: 11})
+		.reply(400, [{error_code: 'ILLEGAL_QUERY', message: 'bad query'}]); // eslint-disable-line camelcase
+
+	const obs = new Promise(resolve => {
+		localBus.observe({level: 'warn'}, resolve);
+	});
+
+	return handler({spec}).then(res => {
+		t.true(cms.isDone());
+		t.is(res.id, 'res-brightcove-video-555555');
+		t.false('relationships' in res);
+
+		return obs.then(event => {
+			t.is(event.code, 'ILLEGAL_QUERY');
+			t.is(event.message, 'related videos not available');
+		});
+	});
+});
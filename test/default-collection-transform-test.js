@@ -0,0 +1,85 @@
+'use strict';
+
+const test = require('ava');
+
+const collectionTransform = require('../lib/default-collection-transform');
+const normalizePlaybackVideo = require('../lib/normalize-playback-video');
+const playlistResponse = require('./fixtures/get-playlist-response');
+const videosResponse = require('./fixtures/get-videos-by-playlist-response');
+const playbackPlaylistResponse = require('./fixtures/get-playback-playlist-response');
+
+const spec = {
+	channel: 'fake-channel',
+	type: 'collectionSpec',
+	id: `spec-brightcove-playlist-${playlistResponse.id}`,
+	playlist: {id: playlistResponse.id}
+};
+
+function withDescription(description) {
+	return Object.assign({}, playlistResponse, {description});
+}
+
+function imageVideoIds(collection) {
+	return collection.images.map(image => /videoId=(\w+)/.exec(image.url)[1]);
+}
+
+test('uses the poster and thumbnail of the first video by default', t => {
+	const collection = collectionTransform(spec, playlistResponse, videosResponse);
+
+	t.deepEqual(collection.images.map(image => image.label), ['poster-640x360', 'thumbnail-160x90']);
+	t.deepEqual(imageVideoIds(collection), ['V111111111111', 'V111111111111']);
+
+	collection.images.forEach(image => {
+		t.regex(image.url, /^https:/);
+	});
+});
+
+test('uses the most recent video with the "latest" rule', t => {
+	const collection = collectionTransform(Object.assign({artwork: 'latest'}, spec), playlistResponse, videosResponse);
+
+	t.deepEqual(imageVideoIds(collection), ['V444444444444', 'V444444444444']);
+});
+
+test('uses the first video with a tag with the "tag:" rule', t => {
+	const collection = collectionTransform(Object.assign({artwork: 'tag:unique tag'}, spec), playlistResponse, videosResponse);
+
+	t.deepEqual(imageVideoIds(collection), ['V333333333333', 'V333333333333']);
+});
+
+test('uses the first video when no video matches the rule', t => {
+	const collection = collectionTransform(Object.assign({artwork: 'tag:missing'}, spec), playlistResponse, videosResponse);
+
+	t.deepEqual(imageVideoIds(collection), ['V111111111111', 'V111111111111']);
+});
+
+test('an artwork line in the playlist description overrides the spec rule', t => {
+	const playlist = withDescription('Our picks of the week.\nartwork: video:V222222222222');
+	const collection = collectionTransform(Object.assign({artwork: 'latest'}, spec), playlist, videosResponse);
+
+	t.deepEqual(imageVideoIds(collection), ['V222222222222', 'V222222222222']);
+	t.is(collection.description, 'Our picks of the week.');
+});
+
+test('has no images without videos', t => {
+	const collection = collectionTransform(spec, playlistResponse);
+
+	t.deepEqual(collection.images, []);
+	t.is(collection.description, playlistResponse.description);
+});
+
+test('uses Playback API videos once normalized', t => {
+	const first = Object.assign({}, playbackPlaylistResponse.videos[0], {
+		poster_sources: [{src: 'https://example.com/poster.jpg'}], // eslint-disable-line camelcase
+		thumbnail_sources: [{src: 'http://example.com/thumbnail.jpg'}] // eslint-disable-line camelcase
+	});
+
+	const videos = [first].concat(playbackPlaylistResponse.videos.slice(1)).map(video => normalizePlaybackVideo(video).video);
+	const collection = collectionTransform(spec, playbackPlaylistResponse, videos);
+
+	t.deepEqual(collection.images, [{
+		url: 'https://example.com/poster.jpg',
+		height: undefined,
+		width: undefined,
+		label: 'poster'
+	}]);
+});
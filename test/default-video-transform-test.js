@@ -0,0 +1,229 @@
+'use strict';
+
+const test = require('ava');
+
+const videoTransform = require('../lib/default-video-transform');
+const normalizePlaybackVideo = require('../lib/normalize-playback-video');
+const videoResponse = require('./fixtures/get-video-response');
+const videoSourcesResponse = require('./fixtures/get-video-sources-response');
+const playbackVideoResponse = require('./fixtures/get-playback-video-response');
+
+const spec = {
+	channel: 'fake-channel',
+	type: 'videoSpec',
+	id: `spec-brightcove-video-${videoResponse.id}`,
+	video: {id: videoResponse.id}
+};
+
+function withTextTracks(video, textTracks) {
+	return Object.assign({}, video, {text_tracks: textTracks}); // eslint-disable-line camelcase
+}
+
+test('maps CMS API text tracks, preferring an HTTPS source', t => {
+	const video = withTextTracks(videoResponse, [
+		{
+			id: 'TT1',
+			src: 'http://brightcove.vo.llnwd.net/v1/captions/en.vtt',
+			sources: [
+				{src: 'http://brightcove.vo.llnwd.net/v1/captions/en.vtt'},
+				{src: 'https://brightcove.hs.llnwd.net/v1/captions/en.vtt'}
+			],
+			srclang: 'en',
+			label: 'English',
+			kind: 'captions',
+			mime_type: 'text/vtt', // eslint-disable-line camelcase
+			default: true
+		},
+		{
+			id: 'TT2',
+			src: 'https://brightcove.hs.llnwd.net/v1/captions/es.vtt',
+			srclang: 'es',
+			label: 'Español',
+			kind: 'subtitles',
+			mime_type: 'text/vtt', // eslint-disable-line camelcase
+			default: false
+		}
+	]);
+
+	const res = videoTransform(spec, video, videoSourcesResponse);
+
+	t.deepEqual(res.textTracks, [
+		{
+			url: 'https://brightcove.hs.llnwd.net/v1/captions/en.vtt',
+			srclang: 'en',
+			label: 'English',
+			kind: 'captions',
+			mimeType: 'text/vtt',
+			default: true
+		},
+		{
+			url: 'https://brightcove.hs.llnwd.net/v1/captions/es.vtt',
+			srclang: 'es',
+			label: 'Español',
+			kind: 'subtitles',
+			mimeType: 'text/vtt',
+			default: false
+		}
+	]);
+});
+
+test('leaves out text tracks without an HTTPS url', t => {
+	const video = withTextTracks(videoResponse, [
+		{src: 'http://brightcove.vo.llnwd.net/v1/captions/en.vtt', srclang: 'en'}
+	]);
+
+	t.deepEqual(videoTransform(spec, video, videoSourcesResponse).textTracks, []);
+});
+
+test('falls back for older text track shapes', t => {
+	const video = withTextTracks(videoResponse, [
+		{url: 'https://example.com/captions/fr.dfxp?v=2', srcLang: 'fr'}
+	]);
+
+	t.deepEqual(videoTransform(spec, video, videoSourcesResponse).textTracks, [
+		{
+			url: 'https://example.com/captions/fr.dfxp?v=2',
+			srclang: 'fr',
+			label: 'fr',
+			kind: 'captions',
+			mimeType: 'application/ttml+xml',
+			default: false
+		}
+	]);
+});
+
+test('maps Playback API text tracks', t => {
+	const playbackVideo = withTextTracks(playbackVideoResponse, [
+		{
+			src: 'https://brightcove.hs.llnwd.net/v1/captions/de.vtt',
+			srclang: 'de',
+			label: 'Deutsch',
+			kind: 'captions',
+			mime_type: 'text/vtt' // eslint-disable-line camelcase
+		}
+	]);
+	const normalized = normalizePlaybackVideo(playbackVideo);
+
+	const res = videoTransform(spec, normalized.video, normalized.sources);
+
+	t.is(res.textTracks.length, 1);
+	t.is(res.textTracks[0].srclang, 'de');
+	t.is(res.textTracks[0].url, 'https://brightcove.hs.llnwd.net/v1/captions/de.vtt');
+});
+
+const drmSources = [
+	{
+		type: 'application/dash+xml',
+		src: 'https://manifest.prod.boltdns.net/manifest/v1/dash/live-baseurl/clear/V111111111111/manifest.mpd'
+	},
+	{
+		type: 'application/dash+xml',
+		src: 'https://manifest.prod.boltdns.net/manifest/v1/dash/live-baseurl/bccenc/V111111111111/manifest.mpd',
+		key_systems: { // eslint-disable-line camelcase
+			'com.widevine.alpha': {license_url: 'https://manifest.prod.boltdns.net/license/v1/cenc/widevine/V111111111111'}, // eslint-disable-line camelcase
+			'com.microsoft.playready': {license_url: 'https://manifest.prod.boltdns.net/license/v1/cenc/playready/V111111111111'} // eslint-disable-line camelcase
+		}
+	},
+	{
+		type: 'application/x-mpegURL',
+		src: 'https://manifest.prod.boltdns.net/manifest/v1/hls/v4/fairplay/V111111111111/master.m3u8',
+		key_systems: { // eslint-disable-line camelcase
+			'com.apple.fps.1_0': {
+				key_request_url: 'https://fps.ezdrm.com/api/licenses/V111111111111', // eslint-disable-line camelcase
+				certificate_url: 'https://fp-keyos.licensekeyserver.com/cert/fairplay.der' // eslint-disable-line camelcase
+			}
+		}
+	}
+];
+
+test('labels DASH and encrypted sources and maps their key systems', t => {
+	const res = videoTransform(spec, videoResponse, drmSources);
+
+	t.deepEqual(res.sources.map(source => source.label), ['dash', 'dash-drm', 'hls-drm']);
+	t.deepEqual(res.sources.map(source => source.encrypted), [false, true, true]);
+	t.is(res.sources[0].mimeType, 'application/dash+xml');
+
+	t.deepEqual(res.sources[0].keySystems, []);
+	t.deepEqual(res.sources[1].keySystems, [
+		{
+			name: 'com.widevine.alpha',
+			licenseUrl: 'https://manifest.prod.boltdns.net/license/v1/cenc/widevine/V111111111111',
+			certificateUrl: null
+		},
+		{
+			name: 'com.microsoft.playready',
+			licenseUrl: 'https://manifest.prod.boltdns.net/license/v1/cenc/playready/V111111111111',
+			certificateUrl: null
+		}
+	]);
+	t.deepEqual(res.sources[2].keySystems, [
+		{
+			name: 'com.apple.fps.1_0',
+			licenseUrl: 'https://fps.ezdrm.com/api/licenses/V111111111111',
+			certificateUrl: 'https://fp-keyos.licensekeyserver.com/cert/fairplay.der'
+		}
+	]);
+});
+
+test('includes clear or encrypted sources for the channel', t => {
+	const channel = encryption => {
+		return {id: 'fake-channel', features: {brightcove: {sourceEncryption: encryption}}};
+	};
+	const labels = encryption => {
+		return videoTransform(spec, videoResponse, drmSources, channel(encryption)).sources.map(source => source.label);
+	};
+
+	t.deepEqual(labels('clear'), ['dash']);
+	t.deepEqual(labels('encrypted'), ['dash-drm', 'hls-drm']);
+	t.deepEqual(labels('both'), ['dash', 'dash-drm', 'hls-drm']);
+});
+
+const cuePoints = [
+	{id: 'CP3', name: 'post', type: 'AD', time: 31.593, metadata: null, force_stop: false}, // eslint-disable-line camelcase
+	{id: 'CP2', name: 'chapter 2', type: 'CODE', time: 12.5, metadata: 'chapter=2', force_stop: false}, // eslint-disable-line camelcase
+	{id: 'CP1', name: 'mid', type: 'AD', time: 10, metadata: 'slot=1', force_stop: true}, // eslint-disable-line camelcase
+	{id: 'CP0', name: 'pre', type: 'AD', time: 0},
+	{id: 'CP4', name: 'past the end', type: 'AD', time: 45},
+	{id: 'CP5', name: 'negative', type: 'AD', time: -1}
+];
+
+test('maps cue points within the duration, sorted by time', t => {
+	const video = Object.assign({}, videoResponse, {cue_points: cuePoints}); // eslint-disable-line camelcase
+	const res = videoTransform(spec, video, videoSourcesResponse);
+
+	t.deepEqual(res.cuePoints.map(cuePoint => cuePoint.id), ['CP0', 'CP1', 'CP2', 'CP3']);
+	t.deepEqual(res.cuePoints[1], {
+		id: 'CP1',
+		name: 'mid',
+		type: 'AD',
+		time: 10,
+		metadata: 'slot=1',
+		forceStop: true
+	});
+
+	t.deepEqual(res.adBreaks, [
+		{time: 0, position: 'preroll', name: 'pre', metadata: null},
+		{time: 10, position: 'midroll', name: 'mid', metadata: 'slot=1'},
+		{time: 31.593, position: 'postroll', name: 'post', metadata: null}
+	]);
+
+	t.false('vmap' in res);
+});
+
+test('builds a VMAP document when the channel has a VAST tag template', t => {
+	const video = Object.assign({}, videoResponse, {cue_points: cuePoints}); // eslint-disable-line camelcase
+	const channel = {
+		id: 'fake-channel',
+		features: {
+			brightcove: {vastTagTemplate: 'https://ads.example.com/vast?vid={videoId}&pos={position}&t={time}'}
+		}
+	};
+
+	const vmap = videoTransform(spec, video, videoSourcesResponse, channel).vmap;
+
+	t.true(vmap.indexOf('<vmap:VMAP xmlns:vmap="http://www.iab.net/videosuite/vmap" version="1.0">') !== -1);
+	t.true(vmap.indexOf('<vmap:AdBreak timeOffset="start" breakType="linear" breakId="preroll-1">') !== -1);
+	t.true(vmap.indexOf('<vmap:AdBreak timeOffset="00:00:10.000" breakType="linear" breakId="midroll-2">') !== -1);
+	t.true(vmap.indexOf('<vmap:AdBreak timeOffset="end" breakType="linear" breakId="postroll-3">') !== -1);
+	t.true(vmap.indexOf(`<![CDATA[https://ads.example.com/vast?vid=${videoResponse.id}&pos=midroll&t=10]]>`) !== -1);
+});
@@ -0,0 +1,77 @@
+'use strict';
+
+const test = require('ava');
+
+const formatVideoImages = require('../lib/format-video-images');
+
+const video = {
+	id: 'V111111111111',
+	images: {
+		poster: {
+			src: 'http://brightcove.vo.llnwd.net/v1/poster-1280.jpg',
+			sources: [
+				{src: 'http://brightcove.vo.llnwd.net/v1/poster-640.jpg', width: 640, height: 360},
+				{src: 'https://brightcove.hs.llnwd.net/v1/poster-1280.jpg', width: 1280, height: 720},
+				{src: 'https://brightcove.hs.llnwd.net/v1/poster-1920.jpg', width: 1920, height: 1080}
+			]
+		},
+		thumbnail: {
+			src: 'http://example.com/thumbnail.jpg',
+			sources: [
+				{src: 'http://example.com/thumbnail.jpg', width: 160, height: 90}
+			]
+		},
+		wide: {
+			src: 'https://cf-images.us-east-1.prod.boltdns.net/v1/wide.jpg'
+		},
+		square: {
+			src: 'https://cf-images.us-east-1.prod.boltdns.net/v1/square.jpg',
+			sources: []
+		}
+	}
+};
+
+function withImageSettings(images) {
+	return {id: 'fake-channel', features: {brightcove: {images}}};
+}
+
+test('includes posters and thumbnails, upgrading http Brightcove CDN URLs', t => {
+	t.deepEqual(formatVideoImages(video), [
+		{url: 'https://brightcove.vo.llnwd.net/v1/poster-640.jpg', width: 640, height: 360, label: 'poster-640x360'},
+		{url: 'https://brightcove.hs.llnwd.net/v1/poster-1280.jpg', width: 1280, height: 720, label: 'poster-1280x720'},
+		{url: 'https://brightcove.hs.llnwd.net/v1/poster-1920.jpg', width: 1920, height: 1080, label: 'poster-1920x1080'}
+	]);
+});
+
+test('drops http URLs when upgradeHttp is false', t => {
+	const images = formatVideoImages(video, withImageSettings({upgradeHttp: false}));
+
+	t.deepEqual(images.map(image => image.label), ['poster-1280x720', 'poster-1920x1080']);
+});
+
+test('includes the image types of the channel, using the src without sources', t => {
+	const images = formatVideoImages(video, withImageSettings({types: ['wide', 'square', 'banner']}));
+
+	t.deepEqual(images, [
+		{url: 'https://cf-images.us-east-1.prod.boltdns.net/v1/wide.jpg', width: undefined, height: undefined, label: 'wide'},
+		{url: 'https://cf-images.us-east-1.prod.boltdns.net/v1/square.jpg', width: undefined, height: undefined, label: 'square'}
+	]);
+});
+
+test('picks the rendition closest to the preferred size', t => {
+	const pick = size => formatVideoImages(video, withImageSettings({sizes: {poster: size}}));
+
+	t.deepEqual(pick('1280x720').map(image => image.label), ['poster-1280x720']);
+	t.deepEqual(pick({width: 1000, height: 500}).map(image => image.label), ['poster-1280x720']);
+	t.deepEqual(pick('3840x2160').map(image => image.label), ['poster-1920x1080']);
+	t.deepEqual(pick('320x180').map(image => image.label), ['poster-640x360']);
+});
+
+test('rewrites the host to the image CDN of the channel', t => {
+	const images = formatVideoImages(video, withImageSettings({
+		host: 'https://images.example.com',
+		sizes: {poster: '1920x1080'}
+	}));
+
+	t.deepEqual(images.map(image => image.url), ['https://images.example.com/v1/poster-1920.jpg']);
+});
@@ -0,0 +1,102 @@
+'use strict';
+
+const test = require('ava');
+const nock = require('nock');
+
+const provider = require('../');
+const accessTokenResponse = require('./fixtures/get-access-token-response');
+const videoResponse = require('./fixtures/get-video-response');
+
+const clientId = 'fake-client-id';
+const clientSecret = 'fake-client-secret';
+const accountId = 'fake-account-id';
+
+const cmsAuthHeader = `Bearer ${accessTokenResponse.access_token}`;
+
+const ingest = {
+	master: {url: 'https://example.com/video.mp4'},
+	profile: 'multi-platform-standard-static',
+	poster: {url: 'https://example.com/poster.jpg', width: 1280, height: 720},
+	text_tracks: [{url: 'https://example.com/captions.vtt', srclang: 'en', kind: 'captions'}] // eslint-disable-line camelcase
+};
+
+let client;
+
+test.beforeEach(() => {
+	nock.cleanAll();
+
+	nock('https://oauth.brightcove.com/v3')
+		.post('/access_token?grant_type=client_credentials')
+		.once()
+		.reply(200, accessTokenResponse);
+
+	client = provider.createIngestClient({clientId, clientSecret, accountId});
+});
+
+test.serial('ingestVideo() creates a video and submits an ingest request', t => {
+	const cms = nock('https://cms.api.brightcove.com/v1', {reqheaders: {authorization: cmsAuthHeader}})
+		.post(`/accounts/${accountId}/videos`, {name: 'New Video'})
+		.reply(201, videoResponse);
+
+	const di = nock('https://ingest.api.brightcove.com/v1', {reqheaders: {authorization: cmsAuthHeader}})
+		.post(`/accounts/${accountId}/videos/${videoResponse.id}/ingest-requests`, ingest)
+		.reply(200, {id: 'job-id'});
+
+	return client.ingestVideo({video: {name: 'New Video'}, ingest}).then(res => {
+		t.true(cms.isDone());
+		t.true(di.isDone());
+		t.is(res.videoId, videoResponse.id);
+		t.is(res.video.id, videoResponse.id);
+		t.deepEqual(res.job, {id: 'job-id'});
+	});
+});
+
+test.serial('ingestVideo() ingests into an existing video', t => {
+	const di = nock('https://ingest.api.brightcove.com/v1')
+		.post(`/accounts/${accountId}/videos/V999/ingest-requests`, ingest)
+		.reply(200, {id: 'job-id'});
+
+	return client.ingestVideo({videoId: 'V999', ingest}).then(res => {
+		t.true(di.isDone());
+		t.is(res.videoId, 'V999');
+		t.is(res.video, null);
+	});
+});
+
+test.serial('getUploadUrls() requests S3 upload URLs for a source file', t => {
+	const uploadUrls = {
+		bucket: 'ingestion-upload-production',
+		object_key: `${accountId}/V999/video.mp4`, // eslint-disable-line camelcase
+		signed_url: 'https://s3.example.com/signed', // eslint-disable-line camelcase
+		api_request_url: 'https://s3.example.com/video.mp4' // eslint-disable-line camelcase
+	};
+
+	const di = nock('https://ingest.api.brightcove.com/v1')
+		.get(`/accounts/${accountId}/videos/V999/upload-urls/video.mp4`)
+		.reply(200, uploadUrls);
+
+	return client.getUploadUrls({videoId: 'V999', sourceName: 'video.mp4'}).then(res => {
+		t.true(di.isDone());
+		t.deepEqual(res, uploadUrls);
+	});
+});
+
+test.serial('shares the access token and queue of an existing Client', t => {
+	const cmsClient = provider.createClient({clientId, clientSecret, accountId});
+	const ingestClient = provider.createIngestClient({client: cmsClient});
+
+	nock('https://cms.api.brightcove.com/v1')
+		.get(`/accounts/${accountId}/videos/V999/sources`)
+		.reply(200, [])
+		.get(`/accounts/${accountId}/videos/V999/ingest_jobs/job-id`)
+		.reply(200, {id: 'job-id', state: 'finished'});
+
+	t.is(ingestClient.client, cmsClient);
+
+	// only one access token response is mocked
+	return cmsClient.getVideoSources({videoId: 'V999'})
+		.then(() => ingestClient.getIngestJob({videoId: 'V999', jobId: 'job-id'}))
+		.then(job => {
+			t.is(job.state, 'finished');
+		});
+});
@@ -6,12 +6,18 @@ const sinon = require('sinon');
 const provider = require('../');
 const defaultVideoTransform = require('../lib/default-video-transform');
 const defaultCollectionTransform = require('../lib/default-collection-transform');
+const defaultSearchTransform = require('../lib/default-search-transform');
+const defaultFolderTransform = require('../lib/default-folder-transform');
+const defaultSeriesTransform = require('../lib/default-series-transform');
+const defaultLiveTransform = require('../lib/default-live-transform');
 const helpers = require('./helpers');
 
 const clientId = 'fake-client-id';
 const clientSecret = 'fake-client-secret';
 const accountId = 'fake-account-id';
 const concurrentRequestLimit = 13;
+const requestsPerSecondLimit = 5;
+const maxRetries = 2;
 
 let bus;
 let options;
@@ -19,16 +25,28 @@ let result = null;
 
 let createVideoHandlerSpy;
 let createPlaylistHandlerSpy;
+let createSearchHandlerSpy;
+let createFolderHandlerSpy;
+let createSeriesHandlerSpy;
+let createLiveHandlerSpy;
 let queryHandlerSpy;
 
 function videoHandler() {}
 function playlistHandler() {}
+function searchHandler() {}
+function folderHandler() {}
+function seriesHandler() {}
+function liveHandler() {}
 
 test.before(() => {
 	bus = helpers.createBus();
 
 	createVideoHandlerSpy = sinon.stub(provider, 'createVideoHandler').returns(videoHandler);
 	createPlaylistHandlerSpy = sinon.stub(provider, 'createPlaylistHandler').returns(playlistHandler);
+	createSearchHandlerSpy = sinon.stub(provider, 'createSearchHandler').returns(searchHandler);
+	createFolderHandlerSpy = sinon.stub(provider, 'createFolderHandler').returns(folderHandler);
+	createSeriesHandlerSpy = sinon.stub(provider, 'createSeriesHandler').returns(seriesHandler);
+	createLiveHandlerSpy = sinon.stub(provider, 'createLiveHandler').returns(liveHandler);
 	queryHandlerSpy = sinon.spy(bus, 'queryHandler');
 
 	options = {
@@ -36,7 +54,9 @@ test.before(() => {
 		clientId,
 		clientSecret,
 		accountId,
-		concurrentRequestLimit
+		concurrentRequestLimit,
+		requestsPerSecondLimit,
+		maxRetries
 	};
 
 	return provider.initialize(options).then(res => {
@@ -46,13 +66,15 @@ test.before(() => {
 });
 
 test('creates Brightcove client', t => {
-	t.plan(5);
+	t.plan(7);
 
 	t.truthy(result.client);
 	t.is(result.client.clientId, clientId);
 	t.is(result.client.clientSecret, clientSecret);
 	t.is(result.client.accountId, accountId);
 	t.is(result.client.concurrentRequestLimit, concurrentRequestLimit);
+	t.is(result.client.requestsPerSecondLimit, requestsPerSecondLimit);
+	t.is(result.client.maxRetries, maxRetries);
 });
 
 test('calls createVideoHandler', t => {
@@ -69,10 +91,38 @@ test('calls createPlaylistHandler', t => {
 	t.true(createPlaylistHandlerSpy.calledWith(bus, sinon.match.func, result.client, defaultCollectionTransform));
 });
 
+test('calls createSearchHandler', t => {
+	t.plan(2);
+
+	t.true(createSearchHandlerSpy.calledOnce);
+	t.true(createSearchHandlerSpy.calledWith(bus, sinon.match.func, result.client, defaultSearchTransform));
+});
+
+test('calls createFolderHandler', t => {
+	t.plan(2);
+
+	t.true(createFolderHandlerSpy.calledOnce);
+	t.true(createFolderHandlerSpy.calledWith(bus, sinon.match.func, result.client, defaultFolderTransform));
+});
+
+test('calls createSeriesHandler', t => {
+	t.plan(2);
+
+	t.true(createSeriesHandlerSpy.calledOnce);
+	t.true(createSeriesHandlerSpy.calledWith(bus, sinon.match.func, result.client, defaultSeriesTransform));
+});
+
+test('calls createLiveHandler', t => {
+	t.plan(2);
+
+	t.true(createLiveHandlerSpy.calledOnce);
+	t.true(createLiveHandlerSpy.calledWith(bus, sinon.match.func, result.client, defaultLiveTransform));
+});
+
 test('calls bus.queryHandler', t => {
-	t.plan(3);
+	t.plan(7);
 
-	t.true(queryHandlerSpy.calledTwice);
+	t.is(queryHandlerSpy.callCount, 6);
 	t.deepEqual(queryHandlerSpy.firstCall.args, [
 		{role: 'provider', cmd: 'get', source: 'brightcove-playlist'},
 		playlistHandler
@@ -81,4 +131,20 @@ test('calls bus.queryHandler', t => {
 		{role: 'provider', cmd: 'get', source: 'brightcove-video'},
 		videoHandler
 	]);
+	t.deepEqual(queryHandlerSpy.thirdCall.args, [
+		{role: 'provider', cmd: 'get', source: 'brightcove-search'},
+		searchHandler
+	]);
+	t.deepEqual(queryHandlerSpy.getCall(3).args, [
+		{role: 'provider', cmd: 'get', source: 'brightcove-folder'},
+		folderHandler
+	]);
+	t.deepEqual(queryHandlerSpy.getCall(4).args, [
+		{role: 'provider', cmd: 'get', source: 'brightcove-series'},
+		seriesHandler
+	]);
+	t.deepEqual(queryHandlerSpy.getCall(5).args, [
+		{role: 'provider', cmd: 'get', source: 'brightcove-live'},
+		liveHandler
+	]);
 });
@@ -0,0 +1,29 @@
+'use strict';
+
+const test = require('ava');
+
+const isGeoAllowed = require('../lib/is-geo-allowed');
+
+const onlyUS = {countries: ['us', 'ca'], exclude_countries: false, restricted: true}; // eslint-disable-line camelcase
+const notUS = {countries: ['us'], exclude_countries: true, restricted: true}; // eslint-disable-line camelcase
+
+test('allows unrestricted videos', t => {
+	t.true(isGeoAllowed(null, 'fr'));
+	t.true(isGeoAllowed(Object.assign({}, onlyUS, {restricted: false}), 'fr'));
+});
+
+test('allows viewers with an unknown country', t => {
+	t.true(isGeoAllowed(onlyUS));
+	t.true(isGeoAllowed(onlyUS, ''));
+});
+
+test('allows only the listed countries', t => {
+	t.true(isGeoAllowed(onlyUS, 'us'));
+	t.true(isGeoAllowed(onlyUS, 'CA'));
+	t.false(isGeoAllowed(onlyUS, 'fr'));
+});
+
+test('allows every country but the listed ones when exclude_countries is set', t => {
+	t.false(isGeoAllowed(notUS, 'US'));
+	t.true(isGeoAllowed(notUS, 'fr'));
+});
@@ -0,0 +1,48 @@
+'use strict';
+
+const test = require('ava');
+
+const localizeVideo = require('../lib/localize-video');
+const videoResponse = require('./fixtures/get-video-response');
+const videoVariantsResponse = require('./fixtures/get-video-variants-response');
+
+const video = Object.assign({}, videoResponse, {
+	custom_fields: {genre: 'comedy', rating: 'PG'} // eslint-disable-line camelcase
+});
+
+test('uses the variant for the locale', t => {
+	const res = localizeVideo(video, videoVariantsResponse, 'es');
+
+	t.is(res.locale, 'es');
+	t.is(res.video.name, 'Video de muestra');
+	t.is(res.video.description, 'Una descripción corta');
+	t.is(res.video.long_description, 'Una descripción larga');
+	t.deepEqual(res.video.custom_fields, {genre: 'comedia', rating: 'PG'});
+	t.is(res.video.id, video.id);
+});
+
+test('matches locales regardless of case and separator', t => {
+	t.is(localizeVideo(video, videoVariantsResponse, 'fr_ca').locale, 'fr-CA');
+});
+
+test('keeps the default value of fields the variant leaves empty', t => {
+	const res = localizeVideo(video, videoVariantsResponse, 'fr-CA');
+
+	t.is(res.video.name, 'Vidéo d\'exemple');
+	t.is(res.video.description, video.description);
+	t.deepEqual(res.video.custom_fields, video.custom_fields);
+});
+
+test('falls back from the locale to the language, then to the default', t => {
+	t.is(localizeVideo(video, videoVariantsResponse, 'es-MX').locale, 'es');
+
+	const res = localizeVideo(video, videoVariantsResponse, 'de-DE');
+
+	t.is(res.locale, null);
+	t.is(res.video, video);
+});
+
+test('lists the locales of every variant', t => {
+	t.deepEqual(localizeVideo(video, videoVariantsResponse).locales, ['es', 'fr-CA']);
+	t.deepEqual(localizeVideo(video, null, 'es').locales, []);
+});
@@ -0,0 +1,194 @@
+'use strict';
+
+const Promise = require('bluebird');
+const test = require('ava');
+const nock = require('nock');
+
+const provider = require('../');
+const Client = require('../lib/client');
+const videoTransform = require('../lib/default-video-transform');
+const collectionTransform = require('../lib/default-collection-transform');
+const playbackVideoResponse = require('./fixtures/get-playback-video-response');
+const playbackPlaylistResponse = require('./fixtures/get-playback-playlist-response');
+const helpers = require('./helpers');
+
+const accountId = 'fake-account-id';
+const policyKey = 'fake-policy-key';
+
+// mock channel fetching function
+const channelId = 'fake-channel';
+const getChannel = () => {
+	return Promise.resolve({
+		id: channelId,
+		secrets: {
+			brightcove: {
+				accountId,
+				policyKey
+			}
+		}
+	});
+};
+
+let bus;
+let videoHandler = null;
+let playlistHandler = null;
+
+test.before(() => {
+	// mock Playback API calls
+	nock(
+		'https://edge.api.brightcove.com/playback/v1',
+		{
+			reqheaders: {
+				'bcov-policy': policyKey
+			}
+		})
+		.get(`/accounts/${accountId}/videos/${playbackVideoResponse.id}`)
+		.reply(200, playbackVideoResponse);
+
+	nock(
+		'https://edge.api.brightcove.com/playback/v1',
+		{
+			reqheaders: {
+				'bcov-policy': policyKey
+			}
+		})
+		.get(`/accounts/${accountId}/playlists/${playbackPlaylistResponse.id}`)
+		.reply(200, playbackPlaylistResponse);
+});
+
+test.beforeEach(() => {
+	bus = helpers.createBus();
+
+	// mock command for creating a video spec
+	bus.commandHandler({role: 'catalog', cmd: 'setItemSpec'}, spec => {
+		return Promise.resolve({type: 'videoSpec', resource: `res-brightcove-video-${spec.video.id}`});
+	});
+
+	// create client with initial credentials and no policy key
+	const client = provider.createClient({
+		clientId: 'foo',
+		clientSecret: 'foo',
+		accountId: 'foo'
+	});
+
+	videoHandler = provider.createVideoHandler(bus, getChannel, client, videoTransform);
+	playlistHandler = provider.createPlaylistHandler(bus, getChannel, client, collectionTransform);
+});
+
+test('fetches a video from the Playback API when a policyKey is set', t => {
+	const spec = {
+		channel: channelId,
+		type: 'videoSpec',
+		id: `spec-brightcove-video-${playbackVideoResponse.id}`,
+		video: {id: playbackVideoResponse.id}
+	};
+
+	return videoHandler({spec}).then(res => {
+		t.is(res.id, `res-brightcove-video-${playbackVideoResponse.id}`);
+		t.is(res.title, playbackVideoResponse.name);
+		t.is(res.description, playbackVideoResponse.long_description);
+		t.is(res.duration, playbackVideoResponse.duration);
+		t.is(res.releaseDate, playbackVideoResponse.published_at);
+
+		t.is(res.images.length, 2);
+		t.is(res.images[0].url, playbackVideoResponse.poster_sources[1].src);
+		t.is(res.images[0].label, 'poster');
+		t.is(res.images[1].url, playbackVideoResponse.thumbnail_sources[1].src);
+		t.is(res.images[1].label, 'thumbnail');
+
+		t.is(res.sources.length, 2);
+		t.is(res.sources[0].url, playbackVideoResponse.sources[0].src);
+		t.is(res.sources[0].label, 'mp4-640x360');
+		t.is(res.sources[0].maxBitrate, playbackVideoResponse.sources[0].avg_bitrate);
+		t.is(res.sources[1].label, 'hls');
+	});
+});
+
+test('fetches a playlist from the Playback API when a policyKey is set', t => {
+	const spec = {
+		channel: channelId,
+		type: 'collectionSpec',
+		id: `spec-brightcove-playlist-${playbackPlaylistResponse.id}`,
+		playlist: {id: playbackPlaylistResponse.id}
+	};
+
+	return playlistHandler({spec}).then(res => {
+		t.is(res.id, `res-brightcove-playlist-${playbackPlaylistResponse.id}`);
+		t.is(res.title, playbackPlaylistResponse.name);
+		t.is(res.description, playbackPlaylistResponse.description);
+
+		// order by published_at desc (newest to oldest)
+		t.deepEqual(res.relationships.entities.data, [
+			{id: 'res-brightcove-video-V666666666666', type: 'video'},
+			{id: 'res-brightcove-video-V555555555555', type: 'video'}
+		]);
+	});
+});
+
+test('checks the eligibility of Playback API playlist videos in the CMS API format', t => {
+	const playlistId = 'PL7777777777';
+	const spec = {
+		channel: channelId,
+		type: 'collectionSpec',
+		id: `spec-brightcove-playlist-${playlistId}`,
+		playlist: {id: playlistId}
+	};
+
+	const videos = playbackPlaylistResponse.videos.slice();
+	videos[0] = Object.assign({}, videos[0], {
+		poster: 'https://example.com/poster.jpg',
+		poster_sources: [{src: 'https://example.com/poster.jpg'}] // eslint-disable-line camelcase
+	});
+
+	nock('https://edge.api.brightcove.com/playback/v1', {reqheaders: {'bcov-policy': policyKey}})
+		.get(`/accounts/${accountId}/playlists/${playlistId}`)
+		.reply(200, Object.assign({}, playbackPlaylistResponse, {id: playlistId, videos}));
+
+	const client = provider.createClient({
+		clientId: 'foo',
+		clientSecret: 'foo',
+		accountId: 'foo',
+		requiredImages: ['poster']
+	});
+
+	const handler = provider.createPlaylistHandler(bus, getChannel, client, collectionTransform);
+
+	return handler({spec}).then(res => {
+		// only the video with a poster is kept
+		t.deepEqual(res.relationships.entities.data, [
+			{id: `res-brightcove-video-${videos[0].id}`, type: 'video'}
+		]);
+	});
+});
+
+test('serves the default language of a localized video when a channel only has a policyKey', t => {
+	const spec = {
+		channel: channelId,
+		type: 'videoSpec',
+		id: `spec-brightcove-video-${playbackVideoResponse.id}`,
+		video: {id: playbackVideoResponse.id}
+	};
+
+	nock('https://edge.api.brightcove.com/playback/v1', {reqheaders: {'bcov-policy': policyKey}})
+		.get(`/accounts/${accountId}/videos/${playbackVideoResponse.id}`)
+		.reply(200, playbackVideoResponse);
+
+	const obs = new Promise(resolve => {
+		bus.observe({level: 'warn'}, resolve);
+	});
+
+	// no CMS API credentials
+	const client = new Client({accountId, policyKey});
+	const handler = provider.createVideoHandler(bus, getChannel, client, videoTransform);
+
+	return handler({spec, locale: 'fr'}).then(res => {
+		t.is(res.title, playbackVideoResponse.name);
+		t.is(res.locale, null);
+		t.deepEqual(res.locales, []);
+
+		return obs.then(event => {
+			t.is(event.message, 'video variants not available');
+			t.deepEqual(event.spec, spec);
+		});
+	});
+});
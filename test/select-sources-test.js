@@ -0,0 +1,142 @@
+'use strict';
+
+const test = require('ava');
+
+const selectSources = require('../lib/select-sources');
+const videoTransform = require('../lib/default-video-transform');
+const videoResponse = require('./fixtures/get-video-response');
+const videoSourcesResponse = require('./fixtures/get-video-sources-response');
+
+function mp4(host, width, height, maxBitrate) {
+	return {
+		url: `https://${host}/video-${width}.mp4`,
+		container: 'MP4',
+		mimeType: 'video/mp4',
+		width,
+		height,
+		maxBitrate,
+		label: `mp4-${width}x${height}`,
+		encrypted: false,
+		keySystems: []
+	};
+}
+
+function manifest(host, mimeType, label) {
+	return {
+		url: `https://${host}/${label}/manifest`,
+		container: 'M2TS',
+		mimeType,
+		width: 0,
+		height: 0,
+		maxBitrate: 0,
+		label,
+		encrypted: false,
+		keySystems: []
+	};
+}
+
+const sources = [
+	mp4('cdn-a.example.com', 1280, 720, 2500000),
+	manifest('cdn-a.example.com', 'application/x-mpegURL', 'hls'),
+	mp4('cdn-a.example.com', 640, 360, 983000),
+	mp4('cdn-b.example.com', 1280, 720, 2500000),
+	manifest('cdn-b.example.com', 'application/dash+xml', 'dash'),
+	mp4('cdn-b.example.com', 480, 270, 532000)
+];
+
+function withPolicy(policy) {
+	return {id: 'fake-channel', features: {brightcove: {sources: policy}}};
+}
+
+function urls(list) {
+	return list.map(source => source.url);
+}
+
+test('returns the sources as they are without a policy', t => {
+	t.is(selectSources(sources, {id: 'fake-channel'}), sources);
+});
+
+test('includes only the allowed protocols', t => {
+	const selected = selectSources(sources, withPolicy({protocols: ['hls', 'dash']}));
+
+	t.deepEqual(selected.map(source => source.label), ['hls', 'dash']);
+});
+
+test('caps a ladder by bitrate and resolution', t => {
+	const selected = selectSources(sources, withPolicy({
+		protocols: ['mp4'],
+		minBitrate: 600000,
+		maxBitrate: 1500000
+	}));
+
+	t.deepEqual(urls(selected), ['https://cdn-a.example.com/video-640.mp4']);
+
+	const small = selectSources(sources, withPolicy({maxWidth: 640, maxHeight: 360}));
+
+	// manifests do not report a resolution, so they are not limited by it
+	t.deepEqual(small.map(source => source.label), ['hls', 'mp4-640x360', 'dash', 'mp4-480x270']);
+});
+
+test('de-duplicates renditions, keeping the preferred host', t => {
+	const selected = selectSources(sources, withPolicy({
+		protocols: ['mp4'],
+		dedupe: true,
+		preferredHost: 'cdn-b.example.com'
+	}));
+
+	t.deepEqual(urls(selected), [
+		'https://cdn-b.example.com/video-1280.mp4',
+		'https://cdn-b.example.com/video-480.mp4',
+		'https://cdn-a.example.com/video-640.mp4'
+	]);
+
+	const first = selectSources(sources, withPolicy({protocols: ['mp4'], dedupe: true}));
+
+	t.deepEqual(urls(first), [
+		'https://cdn-a.example.com/video-1280.mp4',
+		'https://cdn-a.example.com/video-640.mp4',
+		'https://cdn-b.example.com/video-480.mp4'
+	]);
+});
+
+test('orders by protocol and bitrate', t => {
+	const selected = selectSources(sources, withPolicy({
+		order: ['dash', 'mp4'],
+		bitrateOrder: 'ascending',
+		dedupe: true
+	}));
+
+	t.deepEqual(selected.map(source => source.label), [
+		'dash',
+		'mp4-480x270',
+		'mp4-640x360',
+		'mp4-1280x720',
+		'hls'
+	]);
+});
+
+test('sorts by preferred host and bitrate within each protocol without an order', t => {
+	const selected = selectSources(sources, withPolicy({
+		preferredHost: 'cdn-b.example.com',
+		bitrateOrder: 'descending'
+	}));
+
+	// protocols keep the order they first appear in: mp4, hls, dash
+	t.deepEqual(urls(selected), [
+		'https://cdn-b.example.com/video-1280.mp4',
+		'https://cdn-b.example.com/video-480.mp4',
+		'https://cdn-a.example.com/video-1280.mp4',
+		'https://cdn-a.example.com/video-640.mp4',
+		'https://cdn-a.example.com/hls/manifest',
+		'https://cdn-b.example.com/dash/manifest'
+	]);
+});
+
+test('the default video transform applies the channel policy', t => {
+	const spec = {channel: 'fake-channel', type: 'videoSpec', video: {id: videoResponse.id}};
+	const channel = withPolicy({protocols: ['mp4'], maxBitrate: 1000000, bitrateOrder: 'descending'});
+
+	const res = videoTransform(spec, videoResponse, videoSourcesResponse, channel);
+
+	t.deepEqual(res.sources.map(source => source.maxBitrate), [983000, 532000]);
+});
@@ -0,0 +1,81 @@
+'use strict';
+
+const test = require('ava');
+
+const sortVideos = require('../lib/sort-videos');
+
+const videos = [
+	{
+		id: 'A',
+		name: 'beta',
+		duration: 3000,
+		published_at: '2016-01-02T00:00:00.000Z', // eslint-disable-line camelcase
+		schedule: {starts_at: '2016-03-01T00:00:00.000Z'}, // eslint-disable-line camelcase
+		custom_fields: {episode_number: '10', genre: 'drama'} // eslint-disable-line camelcase
+	},
+	{
+		id: 'B',
+		name: 'Alpha',
+		duration: 1000,
+		published_at: '2016-01-03T00:00:00.000Z', // eslint-disable-line camelcase
+		schedule: null,
+		custom_fields: {episode_number: '2'} // eslint-disable-line camelcase
+	},
+	{
+		id: 'C',
+		name: 'gamma',
+		duration: 2000,
+		published_at: '2016-01-01T00:00:00.000Z', // eslint-disable-line camelcase
+		schedule: null,
+		custom_fields: {episode_number: '1', genre: 'comedy'} // eslint-disable-line camelcase
+	}
+];
+
+function ids(videos) {
+	return videos.map(video => video.id).join('');
+}
+
+test('defaults to newest first by release date', t => {
+	t.is(ids(sortVideos(videos)), 'ABC');
+});
+
+test('playlist keeps the Brightcove order', t => {
+	t.is(ids(sortVideos(videos, 'playlist')), 'ABC');
+	t.is(ids(sortVideos(videos, '-playlist')), 'CBA');
+});
+
+test('sorts by the built in modes in either direction', t => {
+	t.is(ids(sortVideos(videos, 'published')), 'CAB');
+	t.is(ids(sortVideos(videos, '-published')), 'BAC');
+	t.is(ids(sortVideos(videos, 'scheduled')), 'CBA');
+	t.is(ids(sortVideos(videos, 'name')), 'BAC');
+	t.is(ids(sortVideos(videos, '-duration')), 'ACB');
+});
+
+test('sorts numeric custom fields as Numbers', t => {
+	t.is(ids(sortVideos(videos, 'custom_field:episode_number')), 'CBA');
+});
+
+test('puts videos without a custom field value last', t => {
+	t.is(ids(sortVideos(videos, 'custom_field:genre')), 'CAB');
+	t.is(ids(sortVideos(videos, '-custom_field:genre')), 'ACB');
+});
+
+test('uses named custom comparators', t => {
+	const comparators = {
+		episodeLength: (a, b) => a.duration - b.duration
+	};
+
+	t.is(ids(sortVideos(videos, '-episodeLength', comparators)), 'ACB');
+});
+
+test('does not sort the given Array in place', t => {
+	const copy = videos.slice();
+	sortVideos(videos, 'name');
+	t.deepEqual(videos, copy);
+});
+
+test('rejects unknown sorts', t => {
+	t.is(sortVideos.parseSort('rating'), null);
+	t.throws(() => sortVideos(videos, 'rating'), 'Unknown sort "rating"');
+});